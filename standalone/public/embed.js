@@ -12,6 +12,10 @@
 
     const CONFIG = {
         apiUrl: 'https://shopify-ai-script-production.up.railway.app/api',
+        // 店铺标识，默认使用 Shopify.shop（xxx.myshopify.com）
+        shop: null,
+        // 店铺公开 Key（服务端 config/shops.json 中的 publishableKey）
+        shopKey: null,
         // Welcome Modal 配置
         showWelcomeModal: true,
         welcomeModalDelay: 500,
@@ -39,6 +43,13 @@
         imageWithTextSelector: '.image-with-text__media img, .image-with-text__media-item img, .image-with-text img',
         maxConcurrent: 8,  // 最大并发生成数（可调整：4-12）
         timeout: 60000,
+        // Job 模式：提交后立即返回 jobId，通过 SSE 推送结果（不支持时轮询）
+        useJobs: true,
+        jobPollInterval: 2000,
+        // 批量模式：首页/集合页所有产品卡片合并为一次 /generate/batch 请求
+        useBatch: true,
+        // 生成图没有 sizes 属性时使用的默认值（配合服务端返回的多尺寸 srcset）
+        imageSizes: '(min-width: 990px) 33vw, (min-width: 750px) 50vw, 100vw',
         debug: true,
         // 使用 sessionStorage 跨页面缓存
         useSessionCache: true,
@@ -49,6 +60,13 @@
     // 生成状态管理（内存缓存）
     const generationState = new Map(); // key -> { status, imageUrl, targetImg }
 
+    // 生成图片的多尺寸版本：imageUrl -> { avif, webp, jpeg } srcset
+    const imageSrcsets = new Map();
+
+    function rememberSrcset(imageUrl, srcset) {
+        if (imageUrl && srcset) imageSrcsets.set(imageUrl, srcset);
+    }
+
     // =====================
     // UTM 参数持久化（跨页面保留 UTM）
     // =====================
@@ -227,7 +245,7 @@
         if (!CONFIG.useSessionCache) return;
         try {
             const cache = getSessionCache();
-            cache[key] = { imageUrl, timestamp: Date.now() };
+            cache[key] = { imageUrl, srcset: imageSrcsets.get(imageUrl), timestamp: Date.now() };
             sessionStorage.setItem(CACHE_KEY, JSON.stringify(cache));
         } catch (e) {
             log('Cache write error:', e);
@@ -236,7 +254,10 @@
 
     function getCachedUrl(key) {
         const cache = getSessionCache();
-        return cache[key]?.imageUrl || null;
+        const entry = cache[key];
+        if (!entry) return null;
+        rememberSrcset(entry.imageUrl, entry.srcset);
+        return entry.imageUrl || null;
     }
 
     // 生成包含 UTM 信息的缓存 Key
@@ -1055,7 +1076,12 @@
         container.innerHTML = modalHTML;
         document.body.appendChild(container);
 
+        let closed = false;
         const closeModal = () => {
+            if (closed) return;
+            closed = true;
+            trackEvent('modal_closed');
+
             const overlay = document.getElementById('ai-welcome-overlay');
             const modal = document.getElementById('ai-welcome-modal');
 
@@ -1136,6 +1162,18 @@
         };
     }
 
+    // 店铺标识（服务端据此选择品牌配置 store profile）
+    function getShopId() {
+        return CONFIG.shop || window.Shopify?.shop || window.location.hostname;
+    }
+
+    // API 请求头（带上店铺 Key）
+    function getApiHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (CONFIG.shopKey) headers['X-Shop-Key'] = CONFIG.shopKey;
+        return headers;
+    }
+
     function getTimeContext() {
         const now = new Date();
         const hour = now.getHours();
@@ -1145,11 +1183,55 @@
         return { timeOfDay, season, clientTime: now.toISOString() };
     }
 
-    function shouldProcess() {
+    // 流量来源规则（服务端 config/traffic-sources.json + 店铺覆盖），按会话缓存
+    const TRAFFIC_SOURCES_STORAGE_KEY = 'ai_visual_traffic_sources';
+    // 规则接口不可用时的回退：原有的四个平台
+    const DEFAULT_TRAFFIC_SOURCES = [
+        { id: 'instagram', referrers: ['instagram.com'] },
+        { id: 'tiktok', referrers: ['tiktok.com'] },
+        { id: 'facebook', referrers: ['facebook.com', 'fb.com'] },
+        { id: 'google', referrers: ['google.*'] },
+    ];
+
+    async function getTrafficSources() {
+        try {
+            const cached = sessionStorage.getItem(TRAFFIC_SOURCES_STORAGE_KEY);
+            if (cached) return JSON.parse(cached);
+        } catch (e) { /* ignore */ }
+
+        try {
+            const response = await fetch(`${CONFIG.apiUrl}/traffic-sources`, { headers: getApiHeaders() });
+            const data = await response.json();
+            if (!response.ok || !data.success) throw new Error(data.error || `HTTP ${response.status}`);
+            try {
+                sessionStorage.setItem(TRAFFIC_SOURCES_STORAGE_KEY, JSON.stringify(data.sources));
+            } catch (e) { /* ignore */ }
+            return data.sources;
+        } catch (e) {
+            log('Traffic source rules unavailable, using defaults:', e.message);
+            return DEFAULT_TRAFFIC_SOURCES;
+        }
+    }
+
+    // 与服务端一致：不区分大小写，* 为通配符，子域名也算匹配
+    function matchesDomain(hostname, domain) {
+        const pattern = domain.trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^(?:.*\\.)?${pattern}$`).test(hostname);
+    }
+
+    // 有 UTM 参数，或来自规则中的来源域名（社交、搜索、邮箱等）时才处理
+    async function shouldProcess() {
         const utm = getUtmParams();
-        const referrer = document.referrer || '';
         if (utm.utmSource || utm.utmCampaign) return true;
-        return ['instagram', 'tiktok', 'facebook', 'google'].some(p => referrer.toLowerCase().includes(p));
+
+        let hostname;
+        try {
+            hostname = new URL(document.referrer).hostname.toLowerCase();
+        } catch (e) {
+            return false;
+        }
+        const sources = await getTrafficSources();
+        return sources.some(source => (source.referrers || []).some(domain => matchesDomain(hostname, domain)));
     }
 
     function getProductHandleFromCard(card) {
@@ -1207,6 +1289,257 @@
         return info;
     }
 
+    // =====================
+    // 限流 / 额度：服务端返回 429 后本会话不再请求，保留原图
+    // =====================
+
+    const PAUSE_STORAGE_KEY = 'ai_visual_paused_until';
+    const LIMIT_CODES = ['RATE_LIMITED', 'QUOTA_EXCEEDED', 'BUDGET_EXCEEDED'];
+
+    function isGenerationPaused() {
+        try {
+            const until = Number(sessionStorage.getItem(PAUSE_STORAGE_KEY) || 0);
+            return until > Date.now();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // 限流按 retryAfter 暂停；额度/预算用尽则整个会话暂停
+    function pauseGeneration(data) {
+        const seconds = data && data.code === 'RATE_LIMITED' && data.retryAfter ? data.retryAfter : 24 * 60 * 60;
+        log('⏸️ Generation paused:', data && data.code, data && data.error);
+        try {
+            sessionStorage.setItem(PAUSE_STORAGE_KEY, String(Date.now() + seconds * 1000));
+        } catch (e) { /* ignore */ }
+    }
+
+    // =====================
+    // 实验分组（A/B 测试 / holdout）：服务端按访客 ID 分桶，前端记住分组并遵守
+    // =====================
+
+    const VISITOR_ID_KEY = 'ai_visual_visitor_id';
+    const EXPERIMENT_STORAGE_KEY = 'ai_visual_experiment';
+    // 分组缓存 1 天，过期后重新向服务端确认（实验结束后 holdout 访客也能恢复）
+    const EXPERIMENT_TTL = 24 * 60 * 60 * 1000;
+
+    // 匿名访客 ID（localStorage，跨会话保持同一分组）
+    function getVisitorId() {
+        try {
+            let id = localStorage.getItem(VISITOR_ID_KEY);
+            if (!id) {
+                id = window.crypto && crypto.randomUUID
+                    ? crypto.randomUUID()
+                    : Date.now().toString(36) + Math.random().toString(36).slice(2);
+                localStorage.setItem(VISITOR_ID_KEY, id);
+            }
+            return id;
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    // 已知分组 { experiment, variant, images, layout }；null = 未参与实验，undefined = 尚未收到
+    function getExperiment() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(EXPERIMENT_STORAGE_KEY) || 'null');
+            if (!stored || Date.now() - stored.timestamp > EXPERIMENT_TTL) return undefined;
+            return stored.assignment;
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    // 每个成功响应都带着当前分组（没有 experiment 字段表示未参与）
+    function rememberExperiment(data) {
+        try {
+            localStorage.setItem(EXPERIMENT_STORAGE_KEY, JSON.stringify({
+                assignment: data.experiment || null,
+                timestamp: Date.now(),
+            }));
+        } catch (e) { /* ignore */ }
+    }
+
+    function isImagesEnabled() {
+        const experiment = getExperiment();
+        return !experiment || experiment.images;
+    }
+
+    function isLayoutEnabled() {
+        const experiment = getExperiment();
+        return !experiment || experiment.layout;
+    }
+
+    // =====================
+    // 店面事件（曝光 / 悬停 / 点击 / 加购 → /api/events）
+    // =====================
+
+    const GENERATIONS_STORAGE_KEY = 'ai_visual_generations';
+    const EVENT_FLUSH_DELAY = 2000;
+    const MAX_EVENTS_PER_BEACON = 50;
+
+    let eventQueue = [];
+    let eventFlushTimer = null;
+    let trackingInstalled = false;
+
+    // AI 图片 URL -> { generationId, imageType }（sessionStorage，缓存命中的图片跨页面也能关联到生成记录）
+    function getGenerations() {
+        try {
+            return JSON.parse(sessionStorage.getItem(GENERATIONS_STORAGE_KEY) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function rememberGeneration(imageUrl, generationId, imageType) {
+        if (!imageUrl || !generationId) return;
+        try {
+            const generations = getGenerations();
+            generations[imageUrl] = { generationId, imageType: imageType || 'product' };
+            sessionStorage.setItem(GENERATIONS_STORAGE_KEY, JSON.stringify(generations));
+        } catch (e) { /* ignore */ }
+    }
+
+    // 产品当前展示的 AI 图片对应的生成记录（没有 AI 图片时返回 null）
+    function getProductGeneration(productHandle) {
+        if (!productHandle) return null;
+        const state = generationState.get(productHandle);
+        const imageUrl = (state && state.imageUrl) || getCachedUrl(getUtmCacheKey(productHandle));
+        return imageUrl ? getGenerations()[imageUrl] || null : null;
+    }
+
+    function trackEvent(type, fields = {}) {
+        eventQueue.push({ type, timestamp: Date.now(), path: window.location.pathname, ...fields });
+        if (eventQueue.length >= MAX_EVENTS_PER_BEACON) {
+            flushEvents();
+        } else if (!eventFlushTimer) {
+            eventFlushTimer = setTimeout(flushEvents, EVENT_FLUSH_DELAY);
+        }
+    }
+
+    function trackImageShown(imageUrl, productHandle) {
+        const generation = getGenerations()[imageUrl];
+        trackEvent('image_shown', {
+            generationId: generation && generation.generationId,
+            imageType: generation && generation.imageType,
+            productHandle: productHandle || undefined,
+            ai: true,
+        });
+    }
+
+    // 没有 AI 图片的产品卡片（对照组 / 生成失败）记为原图曝光，作为 AI 图片的对比基准
+    function trackOriginalImageShown(productHandle) {
+        trackEvent('image_shown', { imageType: 'product', productHandle: productHandle || undefined, ai: false });
+    }
+
+    function trackProductEvent(type, productHandle) {
+        const generation = getProductGeneration(productHandle);
+        trackEvent(type, {
+            generationId: generation ? generation.generationId : undefined,
+            imageType: generation ? generation.imageType : undefined,
+            productHandle: productHandle || undefined,
+            ai: Boolean(generation),
+        });
+    }
+
+    /**
+     * 发送排队的事件：sendBeacon 在页面跳转 / 关闭时也能送达。
+     * Beacon 不能带自定义 header（Key 通过 query 传递），字符串 body 以 text/plain 发送，不触发 CORS 预检
+     */
+    function flushEvents() {
+        clearTimeout(eventFlushTimer);
+        eventFlushTimer = null;
+        if (eventQueue.length === 0) return;
+
+        const experiment = getExperiment();
+        const body = JSON.stringify({
+            shop: getShopId(),
+            visitorId: getVisitorId(),
+            ...getUtmParams(),
+            referrer: document.referrer,
+            theme: _personalizationCache ? _personalizationCache.theme : undefined,
+            experiment: experiment ? experiment.experiment : undefined,
+            variant: experiment ? experiment.variant : undefined,
+            events: eventQueue.splice(0, MAX_EVENTS_PER_BEACON),
+        });
+        const url = `${CONFIG.apiUrl}/events` + (CONFIG.shopKey ? `?key=${encodeURIComponent(CONFIG.shopKey)}` : '');
+
+        const queued = navigator.sendBeacon && navigator.sendBeacon(url, body);
+        if (!queued) {
+            fetch(url, { method: 'POST', body, keepalive: true }).catch(() => { /* ignore */ });
+        }
+        if (eventQueue.length > 0) flushEvents();
+    }
+
+    /**
+     * 事件委托：悬停 AI 图片、点击产品、加购、离开页面时发送。
+     * holdout 访客同样安装（对照组的点击与加购才有可比数据）
+     */
+    function installEventTracking() {
+        if (trackingInstalled) return;
+        trackingInstalled = true;
+
+        // 产品卡片上的 AI 图片在 hover 时显示，每张卡片只记录一次
+        const hoveredCards = new WeakSet();
+        document.addEventListener('mouseover', (e) => {
+            const card = e.target.closest && e.target.closest(CONFIG.productCardSelector);
+            if (!card || hoveredCards.has(card)) return;
+            const productHandle = getProductHandleFromCard(card);
+            if (!getProductGeneration(productHandle)) return;
+            hoveredCards.add(card);
+            trackProductEvent('image_hovered', productHandle);
+        });
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest && e.target.closest('a[href*="/products/"]');
+            if (!link) return;
+            const match = link.getAttribute('href').match(/\/products\/([^?#\/]+)/);
+            if (match) trackProductEvent('product_clicked', match[1]);
+        }, true);
+
+        // 捕获阶段：主题用 AJAX 加购时也会先触发 submit
+        document.addEventListener('submit', (e) => {
+            const form = e.target;
+            if (!form.matches || !form.matches('form[action*="/cart/add"]')) return;
+            const card = form.closest(CONFIG.productCardSelector);
+            const productHandle = (card && getProductHandleFromCard(card)) || getProductHandleFromUrl();
+            trackProductEvent('add_to_cart', productHandle);
+            flushEvents();
+        }, true);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flushEvents();
+        });
+        window.addEventListener('pagehide', flushEvents);
+    }
+
+    // 店铺未开通的图片类型，本页不再请求
+    const disabledImageTypes = new Set();
+
+    /**
+     * 服务端错误码 → 前端行为（所有情况下都保留原图）
+     * - 限流 / 额度 / 预算：暂停生成
+     * - Key 或域名未授权：配置错误，本会话停止请求并提示
+     * - 图片类型未开通：本页跳过该类型
+     * - 参数错误 / 模型超时 / 模型失败：只放弃这一张，下次访问再试
+     */
+    function handleApiError(data, imageType) {
+        const code = data && data.code;
+        if (!code) return;
+
+        if (LIMIT_CODES.includes(code)) {
+            pauseGeneration(data);
+        } else if (code === 'INVALID_SHOP_KEY' || code === 'ORIGIN_NOT_ALLOWED') {
+            console.warn('[AI Visual] ' + data.error + ' - check CONFIG.shopKey and the shop\'s registered origins');
+            pauseGeneration(data);
+        } else if (code === 'IMAGE_TYPE_NOT_ALLOWED') {
+            disabledImageTypes.add(imageType || 'product');
+            log('🚫 Image type disabled for this shop:', imageType);
+        } else {
+            log('⚠️ Generation skipped:', code, data.error);
+        }
+    }
+
     // =====================
     // API 请求
     // =====================
@@ -1217,28 +1550,179 @@
 
     async function generateImageWithContext(imageUrl, imageType, extraContext = {}) {
         const context = {
+            shop: getShopId(),
+            visitorId: getVisitorId(),
             ...getUtmParams(),
             referrer: document.referrer,
             ...getTimeContext(),
             ...extraContext,
         };
         log('Generating:', { imageUrl, imageType, context });
+        if (isGenerationPaused() || !isImagesEnabled() || disabledImageTypes.has(imageType || 'product')) return null;
 
         try {
             const response = await fetch(`${CONFIG.apiUrl}/generate`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ imageUrl, imageType, ...context }),
+                headers: getApiHeaders(),
+                body: JSON.stringify({ imageUrl, imageType, ...context, async: CONFIG.useJobs }),
             });
             const data = await response.json();
             log('Result:', data);
-            return data.success ? data.imageUrl : null;
+            if (!data.success) {
+                handleApiError(data, imageType);
+                return null;
+            }
+            // 实验分组不展示 AI 图片时服务端不返回图片
+            rememberExperiment(data);
+            // 缓存命中时直接返回图片，否则等待 job 完成
+            if (data.imageUrl) {
+                rememberSrcset(data.imageUrl, data.srcset);
+                rememberGeneration(data.imageUrl, data.generationId, imageType);
+                return data.imageUrl;
+            }
+            if (data.jobId) return waitForJob(data.jobId, imageType);
+            return null;
         } catch (error) {
             console.error('[AI Visual] Error:', error);
             return null;
         }
     }
 
+    /**
+     * 批量生成：一次请求提交多张图（共享访客上下文），
+     * 返回与 items 对应的 Promise 数组（resolve 为图片 URL 或 null）
+     */
+    async function generateImageBatch(items) {
+        const context = {
+            shop: getShopId(),
+            visitorId: getVisitorId(),
+            ...getUtmParams(),
+            referrer: document.referrer,
+            ...getTimeContext(),
+        };
+        log('Generating batch:', { count: items.length, context });
+        if (isGenerationPaused() || !isImagesEnabled()) return items.map(() => Promise.resolve(null));
+
+        try {
+            const response = await fetch(`${CONFIG.apiUrl}/generate/batch`, {
+                method: 'POST',
+                headers: getApiHeaders(),
+                body: JSON.stringify({ ...context, items, async: CONFIG.useJobs }),
+            });
+            const data = await response.json();
+            log('Batch result:', data);
+            if (!data.success || !Array.isArray(data.results)) {
+                handleApiError(data);
+                return items.map(() => Promise.resolve(null));
+            }
+            rememberExperiment(data);
+            data.results.forEach((result, i) => {
+                if (result && !result.success) handleApiError(result, items[i] && items[i].imageType);
+            });
+            return items.map((item, i) => {
+                const result = data.results[i];
+                if (!result || !result.success) return Promise.resolve(null);
+                if (result.imageUrl) {
+                    rememberSrcset(result.imageUrl, result.srcset);
+                    rememberGeneration(result.imageUrl, result.generationId, item.imageType);
+                    return Promise.resolve(result.imageUrl);
+                }
+                if (result.jobId) return waitForJob(result.jobId, item.imageType);
+                return Promise.resolve(null);
+            });
+        } catch (error) {
+            console.error('[AI Visual] Batch error:', error);
+            return items.map(() => Promise.resolve(null));
+        }
+    }
+
+    // =====================
+    // Job 结果推送（SSE + 轮询兜底）
+    // =====================
+
+    const jobWaiters = new Map(); // jobId -> resolve(imageUrl | null, generationId)
+    let pendingJobIds = [];
+    let jobStreamTimer = null;
+
+    /**
+     * 等待 job 完成，返回图片 URL（失败或超时返回 null）
+     * 同一 tick 内提交的 job 共用一个 EventSource 连接
+     */
+    function waitForJob(jobId, imageType) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => settleJob({ id: jobId, status: 'failed', error: 'timeout' }), CONFIG.timeout);
+            jobWaiters.set(jobId, (url, generationId) => {
+                clearTimeout(timer);
+                rememberGeneration(url, generationId, imageType);
+                resolve(url);
+            });
+            pendingJobIds.push(jobId);
+            if (!jobStreamTimer) jobStreamTimer = setTimeout(openJobStream, 50);
+        });
+    }
+
+    function settleJob(job) {
+        if (job.status !== 'done' && job.status !== 'failed') {
+            log(`Job ${job.id}: ${job.status}`, job.progress || '');
+            return;
+        }
+        const resolve = jobWaiters.get(job.id);
+        if (!resolve) return;
+        jobWaiters.delete(job.id);
+        if (job.status === 'failed') log(`❌ Job ${job.id} failed:`, job.error);
+        if (job.status === 'done' && job.result) {
+            rememberSrcset(job.result.imageUrl, job.result.srcset);
+            resolve(job.result.imageUrl, job.result.generationId);
+        } else {
+            resolve(null);
+        }
+    }
+
+    function openJobStream() {
+        const ids = pendingJobIds;
+        pendingJobIds = [];
+        jobStreamTimer = null;
+
+        if (typeof EventSource === 'undefined') {
+            ids.forEach(pollJob);
+            return;
+        }
+
+        // EventSource 不能带自定义 header，Key 通过 query 传递
+        const keyParam = CONFIG.shopKey ? `&key=${encodeURIComponent(CONFIG.shopKey)}` : '';
+        const source = new EventSource(`${CONFIG.apiUrl}/generate/jobs/events?ids=${encodeURIComponent(ids.join(','))}${keyParam}`);
+        source.addEventListener('job', (e) => {
+            try {
+                settleJob(JSON.parse(e.data));
+            } catch (err) {
+                log('Job event parse error:', err);
+            }
+            if (ids.every(id => !jobWaiters.has(id))) source.close();
+        });
+        source.onerror = () => {
+            source.close();
+            // 连接断开（代理/网络），剩余 job 改为轮询
+            ids.filter(id => jobWaiters.has(id)).forEach(pollJob);
+        };
+    }
+
+    async function pollJob(jobId) {
+        while (jobWaiters.has(jobId)) {
+            try {
+                const response = await fetch(`${CONFIG.apiUrl}/generate/jobs/${jobId}`, { headers: getApiHeaders() });
+                if (response.status === 404) {
+                    settleJob({ id: jobId, status: 'failed', error: 'not found' });
+                    return;
+                }
+                const data = await response.json();
+                if (data.job) settleJob(data.job);
+            } catch (error) {
+                log('Job poll error:', error);
+            }
+            await new Promise(resolve => setTimeout(resolve, CONFIG.jobPollInterval));
+        }
+    }
+
     // =====================
     // 首页产品卡片处理
     // =====================
@@ -1374,6 +1858,8 @@
         newImg.className = 'ai-generated-image';
         newImg.style.cssText = 'width: 100%; height: 100%; object-fit: cover;';
         newImg.alt = 'AI Generated';
+        // 与主图相同的 sizes，srcset 才能选到合适的尺寸
+        if (primaryImg.getAttribute('sizes')) newImg.setAttribute('sizes', primaryImg.getAttribute('sizes'));
 
         wrapper.appendChild(newImg);
         imgContainer.appendChild(wrapper);
@@ -1381,29 +1867,33 @@
         return newImg;
     }
 
-    async function processProductCard(card, index) {
+    /**
+     * 准备产品卡片：找到素材图、创建第二张图位置、检查 sessionStorage 缓存
+     * 返回待生成的任务，缓存命中或无法处理时返回 null
+     */
+    function prepareProductCard(card, index) {
         // 跳过被个性化引擎隐藏的卡片（节省 API 调用）
         if (card.classList.contains('ai-lp-hidden')) {
             log('Skipping hidden card (personalization):', index);
-            return;
+            return null;
         }
 
         const productHandle = getProductHandleFromCard(card);
         if (!productHandle) {
             log('No product handle found for card', index);
-            return;
+            return null;
         }
 
         // 检查是否已处理
         if (generationState.has(productHandle)) {
             log('Already processing/processed:', productHandle);
-            return;
+            return null;
         }
 
         const imgs = getCardImages(card);
         if (imgs.length === 0) {
             log('No images found in card:', productHandle);
-            return;
+            return null;
         }
 
         const primaryImg = imgs[0];
@@ -1411,14 +1901,14 @@
 
         if (!originalSrc || !originalSrc.startsWith('http')) {
             log('Invalid image src:', originalSrc);
-            return;
+            return null;
         }
 
         // 获取或创建第二张图的位置
         const secondaryImg = createSecondaryImageSlot(card, primaryImg);
         if (!secondaryImg) {
             log('Could not create secondary image slot');
-            return;
+            return null;
         }
 
         // 设置状态
@@ -1440,36 +1930,92 @@
             if (overlay) overlay.remove();  // 立即移除 loading
             applyImageToTarget(cachedUrl, secondaryImg, null, productHandle, true);  // skipAnimation = true
             generationState.set(productHandle, { status: 'done', imageUrl: cachedUrl });
-            return;
+            return null;
         }
 
-        log(`Starting generation for: ${productHandle} (cache key: ${cacheKey})`);
-
-        try {
-            // 使用第一张图（清晰裸图）作为素材
-            const newUrl = await generateImage(originalSrc, 'product', productHandle);
+        return { productHandle, originalSrc, secondaryImg, overlay, cacheKey };
+    }
 
-            if (newUrl) {
-                // 保存到内存和 sessionStorage（使用包含 UTM 的 key）
-                generationState.set(productHandle, {
-                    status: 'done',
-                    imageUrl: newUrl,
-                    targetImg: secondaryImg,
-                });
-                setSessionCache(cacheKey, newUrl);
+    /**
+     * 生成结果返回后，更新状态并应用到卡片
+     */
+    function finishProductCard(task, newUrl) {
+        const { productHandle, secondaryImg, overlay, cacheKey } = task;
+
+        if (newUrl) {
+            // 保存到内存和 sessionStorage（使用包含 UTM 的 key）
+            generationState.set(productHandle, {
+                status: 'done',
+                imageUrl: newUrl,
+                targetImg: secondaryImg,
+            });
+            setSessionCache(cacheKey, newUrl);
 
-                applyImageToTarget(newUrl, secondaryImg, overlay, productHandle);
-            } else {
-                if (overlay) overlay.remove();
-                generationState.set(productHandle, { status: 'error' });
-            }
-        } catch (error) {
+            applyImageToTarget(newUrl, secondaryImg, overlay, productHandle);
+        } else {
             if (overlay) overlay.remove();
             generationState.set(productHandle, { status: 'error' });
+            trackOriginalImageShown(productHandle);
+        }
+    }
+
+    async function processProductCard(card, index) {
+        const task = prepareProductCard(card, index);
+        if (!task) return;
+
+        log(`Starting generation for: ${task.productHandle} (cache key: ${task.cacheKey})`);
+
+        try {
+            // 使用第一张图（清晰裸图）作为素材
+            const newUrl = await generateImage(task.originalSrc, 'product', task.productHandle);
+            finishProductCard(task, newUrl);
+        } catch (error) {
+            finishProductCard(task, null);
             log('Error:', error);
         }
     }
 
+    /**
+     * 替换 srcset / picture source：有服务端生成的多尺寸版本时设置响应式 srcset，
+     * 否则清除主题原有的 srcset（避免浏览器继续加载原图）
+     */
+    function applyResponsiveSources(img, url) {
+        img.removeAttribute('data-srcset');
+        const picture = img.closest('picture');
+        if (picture) {
+            picture.querySelectorAll('source').forEach(s => s.remove());
+        }
+
+        const srcset = imageSrcsets.get(url);
+        if (!srcset || !(srcset.webp || srcset.jpeg)) {
+            img.removeAttribute('srcset');
+            return;
+        }
+
+        // 保留主题原有的 sizes（与布局匹配），没有时使用默认值
+        if (!img.getAttribute('sizes')) img.setAttribute('sizes', CONFIG.imageSizes);
+        if (picture && srcset.avif) {
+            const source = document.createElement('source');
+            source.type = 'image/avif';
+            source.srcset = srcset.avif;
+            source.sizes = img.getAttribute('sizes');
+            picture.insertBefore(source, picture.firstChild);
+        }
+        img.srcset = srcset.webp || srcset.jpeg;
+    }
+
+    /**
+     * 预加载与目标图相同尺寸的版本（有 srcset 时不下载原始大图）
+     */
+    function preloadImage(preload, url, targetImg) {
+        const srcset = imageSrcsets.get(url);
+        if (srcset && (srcset.webp || srcset.jpeg)) {
+            preload.sizes = targetImg.getAttribute('sizes') || CONFIG.imageSizes;
+            preload.srcset = srcset.webp || srcset.jpeg;
+        }
+        preload.src = url;
+    }
+
     function applyImageToTarget(newUrl, targetImg, overlay, logName, skipAnimation = false) {
         log(`Attempting to apply image to ${logName}...`);
         log(`Target img element:`, targetImg);
@@ -1488,16 +2034,8 @@
             log(`✅ Image preloaded successfully for ${logName}`);
             if (overlay) overlay.remove();
 
-            // 清除可能存在的 srcset
-            targetImg.removeAttribute('srcset');
-            targetImg.removeAttribute('data-srcset');
-
-            // 清除 picture source
-            const picture = targetImg.closest('picture');
-            if (picture) {
-                picture.querySelectorAll('source').forEach(s => s.remove());
-                log(`Removed picture sources`);
-            }
+            // 替换 srcset / picture source（多尺寸版本）
+            applyResponsiveSources(targetImg, newUrl);
 
             // 设置新图片
             const oldSrc = targetImg.src;
@@ -1508,6 +2046,7 @@
             if (!skipAnimation) {
                 targetImg.classList.add('ai-reveal');
             }
+            trackImageShown(newUrl, logName);
 
             // 显示 wrapper（如果是我们创建的）
             const wrapper = targetImg.closest('.ai-secondary-image-wrapper');
@@ -1530,7 +2069,7 @@
             targetImg.src = newUrl;
         };
 
-        preload.src = newUrl;
+        preloadImage(preload, newUrl, targetImg);
     }
 
     async function processAllProductCards() {
@@ -1542,6 +2081,32 @@
 
         log(`Processing ${cards.length} product cards...`);
 
+        // 批量模式：整页卡片一次请求，共享同一个访客上下文
+        if (CONFIG.useBatch) {
+            const tasks = cards.map((card, i) => prepareProductCard(card, i)).filter(Boolean);
+            if (tasks.length === 0) {
+                log('All product cards served from cache');
+                return;
+            }
+
+            log(`Starting batch generation for ${tasks.length} cards`);
+            const pending = [];
+            // 服务端单批最多 50 张
+            for (let i = 0; i < tasks.length; i += 50) {
+                const group = tasks.slice(i, i + 50);
+                const urls = await generateImageBatch(group.map(task => ({
+                    imageUrl: task.originalSrc,
+                    imageType: 'product',
+                    productName: task.productHandle,
+                })));
+                group.forEach((task, j) => pending.push(urls[j].then(newUrl => finishProductCard(task, newUrl))));
+            }
+            await Promise.all(pending);
+
+            log('All product cards processed');
+            return;
+        }
+
         // 并行处理，但限制并发数
         const chunks = [];
         for (let i = 0; i < cards.length; i += CONFIG.maxConcurrent) {
@@ -1619,18 +2184,13 @@
 
         preload.onload = () => {
             log(`✅ Banner image preloaded`);
-            img.removeAttribute('srcset');
-            img.removeAttribute('data-srcset');
-
-            const picture = img.closest('picture');
-            if (picture) {
-                picture.querySelectorAll('source').forEach(s => s.remove());
-            }
+            applyResponsiveSources(img, newUrl);
 
             if (!skipAnimation) {
                 img.classList.add('ai-reveal');
             }
             img.src = newUrl;
+            trackImageShown(newUrl);
             log(`✅ Banner image applied`);
         };
 
@@ -1639,7 +2199,7 @@
             img.src = newUrl;
         };
 
-        preload.src = newUrl;
+        preloadImage(preload, newUrl, img);
     }
 
     // =====================
@@ -1769,25 +2329,20 @@
         preload.crossOrigin = 'anonymous';
 
         preload.onload = () => {
-            img.removeAttribute('srcset');
-            img.removeAttribute('data-srcset');
-
-            const picture = img.closest('picture');
-            if (picture) {
-                picture.querySelectorAll('source').forEach(s => s.remove());
-            }
+            applyResponsiveSources(img, newUrl);
 
             if (!skipAnimation) {
                 img.classList.add('ai-reveal');
             }
             img.src = newUrl;
+            trackImageShown(newUrl);
         };
 
         preload.onerror = () => {
             img.src = newUrl;
         };
 
-        preload.src = newUrl;
+        preloadImage(preload, newUrl, img);
     }
 
     // =====================
@@ -1939,17 +2494,12 @@
                     log(`✅ Detail page image preloaded`);
                     if (overlay) overlay.remove();
 
-                    // 清除 srcset 避免覆盖
-                    secondary.removeAttribute('srcset');
-                    secondary.removeAttribute('data-srcset');
-
-                    const picture = secondary.closest('picture');
-                    if (picture) {
-                        picture.querySelectorAll('source').forEach(s => s.remove());
-                    }
+                    // 替换 srcset 避免覆盖
+                    applyResponsiveSources(secondary, newUrl);
 
                     secondary.classList.add('ai-reveal');
                     secondary.src = newUrl;
+                    trackImageShown(newUrl, productHandle);
 
                     log(`✅ Detail page updated for ${productHandle}`);
                 };
@@ -1960,7 +2510,7 @@
                     secondary.src = newUrl;
                 };
 
-                preload.src = newUrl;
+                preloadImage(preload, newUrl, secondary);
             } else {
                 if (overlay) overlay.remove();
             }
@@ -1977,18 +2527,13 @@
             return;
         }
 
-        secondary.removeAttribute('srcset');
-        secondary.removeAttribute('data-srcset');
-
-        const picture = secondary.closest('picture');
-        if (picture) {
-            picture.querySelectorAll('source').forEach(s => s.remove());
-        }
+        applyResponsiveSources(secondary, imageUrl);
 
         if (!skipAnimation) {
             secondary.classList.add('ai-reveal');
         }
         secondary.src = imageUrl;
+        trackImageShown(imageUrl, getProductHandleFromUrl());
         log('Applied AI image to detail page (skipAnimation:', skipAnimation, ')');
     }
 
@@ -2097,6 +2642,10 @@
         if (!utm.utmSource && !utm.utmCampaign && !utm.utmContent) {
             return Promise.resolve(null);
         }
+        if (!isLayoutEnabled()) {
+            log('[AI-LP] Layout disabled by experiment:', getExperiment());
+            return Promise.resolve(null);
+        }
 
         var fingerprint = getUtmFingerprint();
         try {
@@ -2137,8 +2686,10 @@
             try {
                 var res = await fetch(CONFIG.apiUrl + '/personalize', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: getApiHeaders(),
                     body: JSON.stringify({
+                        shop: getShopId(),
+                        visitorId: getVisitorId(),
                         utmSource: utm.utmSource,
                         utmMedium: utm.utmMedium,
                         utmCampaign: utm.utmCampaign,
@@ -2151,9 +2702,14 @@
                 var elapsed1 = Date.now() - _llmFetchStart;
                 log('[AI-LP] ⏱️ Personalization fetch response:', res.status, 'in', elapsed1 + 'ms');
 
-                if (!res.ok) return null;
+                if (!res.ok) {
+                    handleApiError(await res.json().catch(function () { return null; }));
+                    return null;
+                }
                 var data = await res.json();
                 var elapsed2 = Date.now() - _llmFetchStart;
+                // 实验分组不展示个性化布局时没有 config
+                if (data && data.success) rememberExperiment(data);
 
                 if (data && data.success && data.config) {
                     _personalizationCache = data.config;
@@ -2757,6 +3313,7 @@
             if (!container) { log('[AI-LP] No card container found'); return; }
 
             if (container.getAttribute('data-ai-lp-applied') === 'true') { log('[AI-LP] Already applied'); return; }
+            if (!isLayoutEnabled()) { log('[AI-LP] Layout disabled by experiment, keeping theme layout'); return; }
             cleanupInjectedElements();
 
             var utm = getUtmParams();
@@ -2797,7 +3354,29 @@
                 log('[AI-LP] ⏱️ Phase 2: wait done in', (Date.now() - _phase2Start) + 'ms', llmConfig ? '(got config)' : '(timeout)');
             }
 
+            // 首次访问时分组随 personalize 响应返回：不展示布局的分组撤销 Phase 1 的过滤
+            if (!isLayoutEnabled()) {
+                cards.forEach(function (card) {
+                    card.classList.remove('ai-lp-hidden');
+                    getReorderableUnit(card).classList.remove('ai-lp-hidden');
+                });
+                log('[AI-LP] Layout disabled by experiment, Phase 1 reverted');
+                return;
+            }
+
             if (llmConfig) {
+                // 活动登记的排除商品：隐藏卡片，并随布局一起缓存
+                if (llmConfig.hiddenProducts && llmConfig.hiddenProducts.length > 0) {
+                    visibleCards = visibleCards.filter(function (card) {
+                        var h = getProductHandleFromCard(card);
+                        if (!h || llmConfig.hiddenProducts.indexOf(h) === -1) return true;
+                        var unit = getReorderableUnit(card);
+                        card.classList.add('ai-lp-hidden');
+                        if (unit !== card) unit.classList.add('ai-lp-hidden');
+                        if (hiddenHandles.indexOf(h) === -1) hiddenHandles.push(h);
+                        return false;
+                    });
+                }
                 // LLM-driven product reorder
                 if (llmConfig.productOrder && llmConfig.productOrder.length > 0) {
                     reorderByHandleList(visibleCards, llmConfig.productOrder);
@@ -2825,18 +3404,31 @@
     // 入口
     // =====================
 
-    function init() {
+    async function init() {
         log('AI Visual v2 checking conditions...');
         log('URL:', window.location.href);
         log('Referrer:', document.referrer);
         log('UTM params:', getUtmParams());
 
-        if (!shouldProcess()) {
+        if (!(await shouldProcess())) {
             log('❌ No UTM/referrer detected, skipping AI generation');
             log('💡 Tip: Add ?utm_source=test to URL to test');
             return;
         }
 
+        installEventTracking();
+
+        if (isGenerationPaused()) {
+            log('⏸️ Rate limit / quota reached earlier in this session, keeping original images');
+            return;
+        }
+
+        if (!isImagesEnabled() && !isLayoutEnabled()) {
+            log('🧪 Holdout group, keeping the original storefront:', getExperiment());
+            findProductCards().forEach(card => trackOriginalImageShown(getProductHandleFromCard(card)));
+            return;
+        }
+
         log('✅ AI Visual v2 initializing...');
 
         // Show welcome modal on first visit
@@ -0,0 +1,492 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import type { GenerateBatchItem, GenerateRequest, ImageType, PersonalizeProduct, PersonalizeRequest, Season, TimeOfDay } from '../types.js';
+import { getSeason } from '../lib/context.js';
+import { MAX_PERSONALIZE_PRODUCTS } from '../lib/schemas.js';
+import { estimateImageCost, estimateLlmCost } from '../lib/pricing.js';
+import { readJsonFile, resolveDataPath, writeJsonFile } from '../lib/storage.js';
+import { getProviderChain } from '../services/imageProviders.js';
+import { FIDELITY_MAX_RETRIES, shouldCheckFidelity } from '../services/fidelity.js';
+
+/**
+ * Pre-generate a campaign's images and /api/personalize config before it launches
+ *
+ *   npm run pregenerate -- --api-url https://ai.example.com --shop-key sk_live_... \
+ *     --shop my-store.myshopify.com --utm-source instagram --utm-campaign summer_sale \
+ *     --products products.json --images images.txt --dry-run
+ *
+ * Requests go through the running service, so its caches are the ones warmed.
+ * Finished work is recorded in a progress file; running the same command again
+ * skips it and retries only what failed or never ran.
+ */
+
+const USAGE = `Usage: npm run pregenerate -- [options]
+
+Campaign (same values as the ad's landing URL):
+  --shop <id>               Shop id ("my-store.myshopify.com")
+  --utm-source <value>      utm_source (e.g. instagram)
+  --utm-medium <value>      utm_medium
+  --utm-campaign <value>    utm_campaign
+  --utm-content <value>     utm_content
+  --utm-term <value>        utm_term
+
+Input (at least one):
+  --products <file|url>     Shopify products.json (export file or https://<shop>/products.json?limit=250)
+  --images <file>           Image list: JSON array of batch items, or one "<url> [imageType]" per line
+
+Options:
+  --api-url <url>           Service base URL (PREGENERATE_API_URL, default http://localhost:$PORT)
+  --shop-key <key>          Shop key sent as X-Shop-Key (PREGENERATE_SHOP_KEY)
+  --storefront-host <host>  Rewrite cdn.shopify.com product images to https://<host>/cdn/shop/...,
+                            for themes that serve images from the shop domain
+  --types <list>            Image types to generate (default product,banner,collection,imageWithText)
+  --times <list>            Visitor times of day to cover (default morning,afternoon,evening,night)
+  --season <season>         Season to generate for (default: current)
+  --concurrency <n>         Requests in flight (default 2)
+  --progress <file>         Progress file (default: derived from the campaign, under DATA_DIR)
+  --force                   Regenerate even when cached (the shop needs allowForceGenerate)
+  --dry-run                 Print the plan and a cost estimate without calling the service
+  --help                    Show this help
+`;
+
+const IMAGE_TYPES: ImageType[] = ['product', 'banner', 'collection', 'imageWithText'];
+const TIMES_OF_DAY: TimeOfDay[] = ['morning', 'afternoon', 'evening', 'night'];
+const SEASONS: Season[] = ['spring', 'summer', 'autumn', 'winter'];
+
+// A single generation can take minutes when fal.ai queues are long
+const REQUEST_TIMEOUT = 5 * 60 * 1000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Errors that fail every remaining request the same way
+const FATAL_CODES = new Set(['INVALID_SHOP_KEY', 'ORIGIN_NOT_ALLOWED', 'QUOTA_EXCEEDED', 'BUDGET_EXCEEDED', 'UNAUTHORIZED']);
+
+// Typical token counts of the prompt calls, for the dry-run estimate
+const SCENE_PROMPT_TOKENS = { input: 700, output: 150 };
+const PERSONALIZE_TOKENS = { input: 1500, output: 450 };
+
+// Model of each scene-prompt call (see services/openai.ts)
+const PROMPT_MODELS: Record<ImageType, string> = {
+  product: 'gpt-4.1-mini',
+  banner: 'gpt-4.1-mini',
+  imageWithText: 'gpt-4.1-mini',
+  collection: 'gpt-4o-mini',
+};
+const PERSONALIZE_MODEL = 'gpt-4.1-mini';
+
+interface Task {
+  id: string;
+  label: string;
+  kind: 'image' | 'personalize';
+  imageType?: ImageType;
+  body: GenerateRequest | PersonalizeRequest;
+}
+
+interface TaskProgress {
+  status: 'done' | 'failed';
+  label: string;
+  updatedAt: string;
+  cached?: boolean;
+  generationId?: string;
+  imageUrl?: string;
+  error?: string;
+  code?: string;
+}
+
+interface ProgressFile {
+  campaign: Record<string, string | undefined>;
+  createdAt: string;
+  updatedAt: string;
+  tasks: Record<string, TaskProgress>;
+}
+
+class CliError extends Error {}
+
+// =====================
+// Input
+// =====================
+
+interface ShopifyProduct {
+  handle: string;
+  title?: string;
+  tags?: string[] | string;
+  images?: Array<{ src: string }>;
+  image?: { src: string } | null;
+}
+
+async function readSource(source: string): Promise<string> {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source, { signal: AbortSignal.timeout(30000) });
+    if (!response.ok) throw new CliError(`Failed to fetch ${source}: HTTP ${response.status}`);
+    return response.text();
+  }
+  if (!fs.existsSync(source)) throw new CliError(`File not found: ${source}`);
+  return fs.promises.readFile(source, 'utf-8');
+}
+
+async function loadProducts(source: string): Promise<ShopifyProduct[]> {
+  const data = JSON.parse(await readSource(source));
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) throw new CliError(`${source} has no "products" array`);
+  return products.filter((product): product is ShopifyProduct => typeof product?.handle === 'string');
+}
+
+async function loadImageList(file: string): Promise<GenerateBatchItem[]> {
+  const raw = await readSource(file);
+
+  if (raw.trimStart().startsWith('[')) {
+    const items = JSON.parse(raw);
+    return items.filter((item: GenerateBatchItem) => typeof item?.imageUrl === 'string');
+  }
+
+  return raw.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line) => {
+      const [imageUrl, imageType] = line.split(/\s+/);
+      if (imageType && !IMAGE_TYPES.includes(imageType as ImageType)) {
+        throw new CliError(`Unknown image type "${imageType}" in ${file}`);
+      }
+      return { imageUrl, imageType: (imageType as ImageType) || 'product' };
+    });
+}
+
+/**
+ * Tags as embed.js sends them: lowercased, from an array or a comma-separated string
+ */
+function parseTags(tags: ShopifyProduct['tags']): string[] {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return list.map(tag => String(tag).toLowerCase().trim()).filter(Boolean);
+}
+
+/**
+ * products.json image URLs live on cdn.shopify.com; themes on the shop domain show the
+ * same file as /cdn/shop/..., which is a different cache key
+ */
+function toStorefrontUrl(src: string, host: string | undefined): string {
+  const url = new URL(src.startsWith('//') ? `https:${src}` : src);
+  if (!host || url.hostname !== 'cdn.shopify.com') return url.toString();
+
+  const match = url.pathname.match(/^\/s\/files\/1(?:\/\d+)+\/(.+)$/);
+  if (!match) return url.toString();
+  return `https://${host}/cdn/shop/${match[1]}${url.search}`;
+}
+
+// =====================
+// Plan
+// =====================
+
+function parseList<T extends string>(value: string | undefined, allowed: T[], name: string): T[] {
+  if (!value) return allowed;
+  const list = value.split(',').map(item => item.trim()).filter(Boolean);
+  for (const item of list) {
+    if (!allowed.includes(item as T)) throw new CliError(`Unknown ${name} "${item}" (expected ${allowed.join(', ')})`);
+  }
+  return list as T[];
+}
+
+function taskId(parts: unknown): string {
+  return crypto.createHash('md5').update(JSON.stringify(parts)).digest('hex');
+}
+
+function buildTasks(options: {
+  campaign: Omit<PersonalizeRequest, 'products'>;
+  products: ShopifyProduct[];
+  images: GenerateBatchItem[];
+  types: ImageType[];
+  times: TimeOfDay[];
+  season: Season;
+  storefrontHost?: string;
+  force: boolean;
+}): Task[] {
+  const { campaign, products, types, times, season } = options;
+  const tasks: Task[] = [];
+
+  // Same product list embed.js sends, so the personalize cache key matches
+  const hasUtm = Boolean(campaign.utmSource || campaign.utmCampaign || campaign.utmContent);
+  if (products.length > 0 && hasUtm) {
+    const personalizeProducts: PersonalizeProduct[] = products.slice(0, MAX_PERSONALIZE_PRODUCTS).map(product => ({
+      handle: product.handle,
+      title: (product.title || '').toLowerCase(),
+      tags: parseTags(product.tags),
+    }));
+
+    const body: PersonalizeRequest = { ...campaign, products: personalizeProducts };
+    tasks.push({ id: taskId(['personalize', body]), label: 'personalize', kind: 'personalize', body });
+  }
+
+  const items: GenerateBatchItem[] = [];
+  if (types.includes('product')) {
+    for (const product of products) {
+      const src = product.images?.[0]?.src || product.image?.src;
+      if (!src) continue;
+      // embed.js sends the product handle as the product name
+      items.push({ imageUrl: toStorefrontUrl(src, options.storefrontHost), imageType: 'product', productName: product.handle });
+    }
+  }
+  items.push(...options.images.filter(item => types.includes(item.imageType || 'product')));
+
+  const seen = new Set<string>();
+  for (const item of items) {
+    for (const timeOfDay of times) {
+      const body: GenerateRequest = { ...campaign, ...item, timeOfDay, season, forceGenerate: options.force || undefined };
+      const id = taskId(['image', campaign, item.imageUrl, item.imageType || 'product', timeOfDay, season]);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      tasks.push({
+        id,
+        label: `${item.imageType || 'product'} ${item.productName || item.collectionTitle || item.imageUrl} (${timeOfDay})`,
+        kind: 'image',
+        imageType: item.imageType || 'product',
+        body,
+      });
+    }
+  }
+
+  return tasks;
+}
+
+function estimateCost(tasks: Task[]): { expected: number; withRetries: number } {
+  let expected = 0;
+  let withRetries = 0;
+
+  for (const task of tasks) {
+    if (task.kind === 'personalize') {
+      const cost = estimateLlmCost(PERSONALIZE_MODEL, PERSONALIZE_TOKENS.input, PERSONALIZE_TOKENS.output);
+      expected += cost;
+      withRetries += cost;
+      continue;
+    }
+
+    const imageType = task.imageType || 'product';
+    const promptCost = estimateLlmCost(PROMPT_MODELS[imageType], SCENE_PROMPT_TOKENS.input, SCENE_PROMPT_TOKENS.output);
+    const imageCost = estimateImageCost(getProviderChain(imageType)[0].model);
+    const attempts = shouldCheckFidelity(imageType) ? 1 + FIDELITY_MAX_RETRIES : 1;
+    expected += promptCost + imageCost;
+    withRetries += promptCost + imageCost * attempts;
+  }
+
+  return { expected, withRetries };
+}
+
+// =====================
+// Progress
+// =====================
+
+function getDefaultProgressPath(campaign: Record<string, string | undefined>): string {
+  const slug = (campaign.utmCampaign || campaign.utmSource || 'campaign').replace(/[^a-z0-9_-]+/gi, '-').slice(0, 40);
+  return resolveDataPath(`pregenerate/${slug}-${taskId(campaign).slice(0, 8)}.json`);
+}
+
+function createProgressWriter(filePath: string, progress: ProgressFile) {
+  // Writes are chained so a slow flush never overwrites a newer one
+  let queue: Promise<void> = Promise.resolve();
+
+  return {
+    record(task: Task, entry: Omit<TaskProgress, 'label' | 'updatedAt'>): void {
+      progress.tasks[task.id] = { ...entry, label: task.label, updatedAt: new Date().toISOString() };
+      progress.updatedAt = new Date().toISOString();
+      queue = queue
+        .then(() => writeJsonFile(filePath, progress))
+        .catch((error) => console.error(`! Failed to write ${filePath}:`, error));
+    },
+    flush: () => queue,
+  };
+}
+
+// =====================
+// Requests
+// =====================
+
+interface ApiResult {
+  ok: boolean;
+  status: number;
+  data: {
+    success?: boolean;
+    cached?: boolean;
+    generationId?: string;
+    imageUrl?: string;
+    error?: string;
+    code?: string;
+    retryAfter?: number;
+  };
+}
+
+async function post(url: string, shopKey: string | undefined, body: unknown): Promise<ApiResult> {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  if (shopKey) headers['X-Shop-Key'] = shopKey;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    const data = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+
+    // Per-minute limits clear by themselves; wait them out instead of failing the item
+    if (response.status === 429 && data.code === 'RATE_LIMITED' && attempt < MAX_RATE_LIMIT_RETRIES) {
+      const wait = Number(data.retryAfter || response.headers.get('Retry-After') || 10);
+      await new Promise(resolve => setTimeout(resolve, wait * 1000));
+      continue;
+    }
+    return { ok: response.ok && data.success !== false, status: response.status, data };
+  }
+}
+
+async function run(tasks: Task[], options: {
+  apiUrl: string;
+  shopKey?: string;
+  concurrency: number;
+  progress: ReturnType<typeof createProgressWriter>;
+}): Promise<{ done: number; cached: number; failed: number; aborted?: string }> {
+  const stats: { done: number; cached: number; failed: number; aborted?: string } = { done: 0, cached: 0, failed: 0 };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length && !stats.aborted) {
+      const task = tasks[next++];
+      const position = `[${next}/${tasks.length}]`;
+      const endpoint = task.kind === 'personalize' ? '/api/personalize' : '/api/generate';
+
+      try {
+        const result = await post(options.apiUrl + endpoint, options.shopKey, task.body);
+        if (!result.ok) {
+          const code = result.data.code || `HTTP_${result.status}`;
+          stats.failed++;
+          options.progress.record(task, { status: 'failed', error: result.data.error, code });
+          console.log(`${position} ✗ ${task.label}: ${code} ${result.data.error || ''}`);
+          if (FATAL_CODES.has(code)) stats.aborted = `${code}: ${result.data.error}`;
+          continue;
+        }
+
+        stats.done++;
+        if (result.data.cached) stats.cached++;
+        options.progress.record(task, {
+          status: 'done',
+          cached: result.data.cached,
+          generationId: result.data.generationId,
+          imageUrl: result.data.imageUrl,
+        });
+        console.log(`${position} ✓ ${task.label}${result.data.cached ? ' (cached)' : ''}`);
+      } catch (error) {
+        stats.failed++;
+        const message = error instanceof Error ? error.message : String(error);
+        options.progress.record(task, { status: 'failed', error: message });
+        console.log(`${position} ✗ ${task.label}: ${message}`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(options.concurrency, tasks.length) }, worker));
+  await options.progress.flush();
+  return stats;
+}
+
+// =====================
+// Main
+// =====================
+
+async function main(): Promise<void> {
+  const { values: args } = parseArgs({
+    options: {
+      'shop': { type: 'string' },
+      'utm-source': { type: 'string' },
+      'utm-medium': { type: 'string' },
+      'utm-campaign': { type: 'string' },
+      'utm-content': { type: 'string' },
+      'utm-term': { type: 'string' },
+      'products': { type: 'string' },
+      'images': { type: 'string' },
+      'api-url': { type: 'string' },
+      'shop-key': { type: 'string' },
+      'storefront-host': { type: 'string' },
+      'types': { type: 'string' },
+      'times': { type: 'string' },
+      'season': { type: 'string' },
+      'concurrency': { type: 'string' },
+      'progress': { type: 'string' },
+      'force': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!args.products && !args.images) {
+    throw new CliError('Pass --products and/or --images (see --help)');
+  }
+
+  const campaign = {
+    shop: args.shop,
+    utmSource: args['utm-source'],
+    utmMedium: args['utm-medium'],
+    utmCampaign: args['utm-campaign'],
+    utmContent: args['utm-content'],
+    utmTerm: args['utm-term'],
+  };
+  const season = args.season
+    ? parseList(args.season, SEASONS, 'season')[0]
+    : getSeason(new Date().getMonth());
+  const concurrency = parseInt(args.concurrency || '2', 10);
+  if (!(concurrency >= 1)) throw new CliError('--concurrency must be a positive number');
+
+  const tasks = buildTasks({
+    campaign,
+    products: args.products ? await loadProducts(args.products) : [],
+    images: args.images ? await loadImageList(args.images) : [],
+    types: parseList(args.types, IMAGE_TYPES, 'image type'),
+    times: parseList(args.times, TIMES_OF_DAY, 'time of day'),
+    season,
+    storefrontHost: args['storefront-host'],
+    force: args.force,
+  });
+
+  const progressPath = args.progress || getDefaultProgressPath(campaign);
+  const now = new Date().toISOString();
+  const progress = readJsonFile<ProgressFile>(progressPath, { campaign, createdAt: now, updatedAt: now, tasks: {} });
+  const remaining = tasks.filter(task => progress.tasks[task.id]?.status !== 'done');
+
+  const images = tasks.filter(task => task.kind === 'image');
+  const byType = IMAGE_TYPES
+    .map(type => [type, images.filter(task => task.imageType === type).length] as const)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${type} ${count}`)
+    .join(', ');
+
+  console.log(`Campaign: ${Object.entries(campaign).filter(([, value]) => value).map(([key, value]) => `${key}=${value}`).join(' ') || '(no UTM)'}`);
+  console.log(`Season: ${season}; images: ${images.length}${byType ? ` (${byType})` : ''}; personalize: ${tasks.length - images.length}`);
+  console.log(`Progress: ${progressPath} (${tasks.length - remaining.length} done, ${remaining.length} to go)`);
+
+  const cost = estimateCost(remaining);
+  console.log(`Estimated cost: $${cost.expected.toFixed(2)} (up to $${cost.withRetries.toFixed(2)} with fidelity retries; cached items cost nothing)`);
+
+  if (args['dry-run'] || remaining.length === 0) return;
+
+  const apiUrl = (args['api-url'] || process.env.PREGENERATE_API_URL || `http://localhost:${process.env.PORT || '3000'}`).replace(/\/+$/, '');
+  const stats = await run(remaining, {
+    apiUrl,
+    shopKey: args['shop-key'] || process.env.PREGENERATE_SHOP_KEY,
+    concurrency,
+    progress: createProgressWriter(progressPath, progress),
+  });
+
+  console.log(`Finished: ${stats.done} done (${stats.cached} already cached), ${stats.failed} failed`);
+  if (stats.aborted) {
+    console.error(`Stopped early: ${stats.aborted}`);
+  }
+  if (stats.failed > 0 || stats.aborted) {
+    console.error('Run the same command again to retry the remaining items');
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error instanceof CliError ? error.message : error);
+  process.exitCode = 1;
+});
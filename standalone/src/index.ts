@@ -3,26 +3,54 @@ import { serve } from '@hono/node-server';
 import { serveStatic } from '@hono/node-server/serve-static';
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
-import { logger } from 'hono/logger';
+import { requestId, type RequestIdVariables } from 'hono/request-id';
 import { generateRouter } from './routes/generate.js';
 import { personalizeRouter } from './routes/personalize.js';
-
-const app = new Hono();
-
-// Middleware
-app.use('*', logger());
-
-// CORS - Allow requests from any Shopify store
+import { imagesRouter } from './routes/images.js';
+import { adminRouter } from './routes/admin.js';
+import { eventsRouter } from './routes/events.js';
+import { trafficSourcesRouter } from './routes/trafficSources.js';
+import { isMockMode } from './services/mock.js';
+import { resolveCorsOrigin } from './lib/shops.js';
+import { ApiError, sendError } from './lib/errors.js';
+import { httpMetrics, metricsAuth, renderMetrics } from './lib/metrics.js';
+import { accessLog, createLogger } from './lib/logger.js';
+import { flushJsonFiles } from './lib/storage.js';
+
+const app = new Hono<{ Variables: RequestIdVariables }>();
+
+const log = createLogger('Server');
+
+// Middleware - X-Request-Id is accepted from the caller or generated, echoed back and logged
+app.use('*', requestId());
+app.use('*', accessLog());
+app.use('*', httpMetrics());
+
+// CORS - Only storefront origins registered in config/shops.json (any origin when no shops are configured)
 app.use('*', cors({
-  origin: '*',
+  origin: (origin) => resolveCorsOrigin(origin),
   allowMethods: ['GET', 'POST', 'OPTIONS'],
-  allowHeaders: ['Content-Type'],
+  allowHeaders: ['Content-Type', 'X-Shop-Key', 'X-Request-Id'],
+  exposeHeaders: ['X-Request-Id'],
   maxAge: 86400,
 }));
 
 // Routes
 app.route('/api/generate', generateRouter);
 app.route('/api/personalize', personalizeRouter);
+app.route('/api/events', eventsRouter);
+app.route('/api/traffic-sources', trafficSourcesRouter);
+
+// Internal reporting (Bearer ADMIN_TOKEN)
+app.route('/api/admin', adminRouter);
+
+// Prometheus scrape endpoint
+app.get('/metrics', metricsAuth(), (c) => {
+  return c.text(renderMetrics(), 200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+});
+
+// Re-hosted generated images (content-addressed, cached forever)
+app.route('/images', imagesRouter);
 
 // Static files (demo page, embed.js)
 app.use('/public/*', serveStatic({ root: './' }));
@@ -43,7 +71,7 @@ app.get('/embed.js', async (c) => {
       'Expires': '0',
     });
   } catch (error) {
-    console.error('Failed to read embed.js:', error);
+    log.error('Failed to read embed.js', { requestId: c.get('requestId'), error });
     return c.text('// embed.js not found', 404);
   }
 });
@@ -64,7 +92,7 @@ app.get('/theme-snippet.html', async (c) => {
       'Expires': '0',
     });
   } catch (error) {
-    console.error('Failed to read theme-snippet.html:', error);
+    log.error('Failed to read theme-snippet.html', { requestId: c.get('requestId'), error });
     return c.text('<!-- theme-snippet.html not found -->', 404);
   }
 });
@@ -72,6 +100,9 @@ app.get('/theme-snippet.html', async (c) => {
 // Shortcut: /demo -> /public/demo.html
 app.get('/demo', (c) => c.redirect('/public/demo.html'));
 
+// Performance report page (reads /api/admin/performance with the admin token)
+app.get('/report', (c) => c.redirect('/public/report.html'));
+
 // Root endpoint
 app.get('/', (c) => {
   return c.json({
@@ -80,36 +111,51 @@ app.get('/', (c) => {
     endpoints: {
       generate: 'POST /api/generate',
       personalize: 'POST /api/personalize',
+      events: 'POST /api/events',
       health: 'GET /api/generate/health',
+      usage: 'GET /api/admin/usage',
+      performance: 'GET /api/admin/performance',
+      metrics: 'GET /metrics',
     },
   });
 });
 
 // 404 handler
 app.notFound((c) => {
-  return c.json({ error: 'Not found' }, 404);
+  return sendError(c, new ApiError('NOT_FOUND', 'Not found', 404));
 });
 
 // Error handler
 app.onError((err, c) => {
-  console.error('Server error:', err);
-  return c.json({ error: 'Internal server error' }, 500);
+  if (err instanceof ApiError) {
+    return sendError(c, err);
+  }
+  log.error('Unhandled error', { requestId: c.get('requestId'), path: c.req.path, error: err });
+  return sendError(c, new ApiError('INTERNAL_ERROR', 'Internal server error', 500));
 });
 
 // Start server
 const port = parseInt(process.env.PORT || '3000', 10);
 
-console.log(`
-╔════════════════════════════════════════════╗
-║       AI Visual Generator Service          ║
-╠════════════════════════════════════════════╣
-║  Server starting on port ${port}              ║
-║  http://localhost:${port}                      ║
-╚════════════════════════════════════════════╝
-`);
+log.info('AI Visual Generator Service starting', { port, url: `http://localhost:${port}` });
 
-serve({
+if (isMockMode()) {
+  log.info('MOCK_MODE enabled: OpenAI, fal.ai and weather calls are simulated');
+}
+
+const server = serve({
   fetch: app.fetch,
   port,
 });
 
+// Redeploys send SIGTERM: stop accepting requests and write out debounced data files before exiting
+for (const signal of ['SIGTERM', 'SIGINT'] as const) {
+  process.once(signal, () => {
+    log.info('Shutting down', { signal });
+    server.close();
+    flushJsonFiles()
+      .catch((error) => log.error('Failed to flush data files', { error }))
+      .finally(() => process.exit(0));
+  });
+}
+
@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import { createMiddleware } from 'hono/factory';
+import { ApiError, sendError } from './errors.js';
+
+/**
+ * Constant-time secret comparison
+ *
+ * Both sides are hashed first: timingSafeEqual needs equal byte lengths, and
+ * comparing string lengths is not enough once multi-byte characters are involved.
+ */
+export function tokensEqual(provided: string, expected: string): boolean {
+  const digest = (value: string) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+/**
+ * Require `Authorization: Bearer <ADMIN_TOKEN>` for internal endpoints
+ *
+ * Without ADMIN_TOKEN the admin API is disabled entirely.
+ */
+export const adminAuth = () => createMiddleware(async (c, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return sendError(c, new ApiError('ADMIN_DISABLED', 'Admin API disabled (set ADMIN_TOKEN)', 503));
+  }
+
+  const header = c.req.header('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!tokensEqual(provided, token)) {
+    return sendError(c, new ApiError('UNAUTHORIZED', 'Invalid or missing admin token', 401));
+  }
+  return next();
+});
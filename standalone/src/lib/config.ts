@@ -0,0 +1,19 @@
+import path from 'path';
+import { readJsonFile } from './storage.js';
+
+/**
+ * Directory holding JSON configuration files (providers, store profiles, ...)
+ * Defaults to ./config relative to the working directory
+ */
+export function getConfigDir(): string {
+  return process.env.CONFIG_DIR || path.join(process.cwd(), 'config');
+}
+
+/**
+ * Load a JSON config file from the config directory (absolute paths are kept as-is),
+ * returning fallback when the file does not exist
+ */
+export function loadConfigFile<T>(fileName: string, fallback: T): T {
+  const filePath = path.isAbsolute(fileName) ? fileName : path.join(getConfigDir(), fileName);
+  return readJsonFile<T>(filePath, fallback);
+}
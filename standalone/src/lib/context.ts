@@ -1,6 +1,10 @@
-import type { UserContext, TimeOfDay, Season, GenerateRequest } from '../types.js';
+import type { UserContext, TimeOfDay, Season, GenerateRequest, GenerateBatchItem } from '../types.js';
 import { detectTrafficSource } from './platforms.js';
 import { getWeatherForLocation } from '../services/weather.js';
+import { findCampaign } from '../services/campaigns.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Context');
 
 /**
  * Get time of day from hour
@@ -23,10 +27,28 @@ export function getSeason(month: number): Season {
   return 'winter';
 }
 
+/**
+ * Image-specific part of the context (image type, product and collection info)
+ */
+export function getItemContext(item: GenerateBatchItem): Partial<UserContext> {
+  return {
+    imageType: item.imageType,
+    // Product info
+    productName: item.productName,
+    productDescription: item.productDescription,
+    productCategory: item.productCategory,
+    // Collection info
+    collectionTitle: item.collectionTitle,
+    collectionDescription: item.collectionDescription,
+    productNames: item.productNames,
+    productCount: item.productCount,
+  };
+}
+
 /**
  * Build complete user context from request data
  */
-export async function buildUserContext(request: GenerateRequest): Promise<UserContext> {
+export async function buildUserContext(request: GenerateRequest, requestId?: string): Promise<UserContext> {
   // Parse client time or use server time
   let now: Date;
   if (request.clientTime) {
@@ -44,7 +66,9 @@ export async function buildUserContext(request: GenerateRequest): Promise<UserCo
   // Detect traffic source
   const trafficSource = request.trafficSource || detectTrafficSource({
     utmSource: request.utmSource,
+    utmMedium: request.utmMedium,
     referrer: request.referrer,
+    shop: request.shop,
   });
   
   // Get time of day (from request or calculate)
@@ -55,6 +79,8 @@ export async function buildUserContext(request: GenerateRequest): Promise<UserCo
   
   // Build base context
   const context: UserContext = {
+    requestId,
+    shop: request.shop,
     utmSource: request.utmSource,
     utmMedium: request.utmMedium,
     utmCampaign: request.utmCampaign,
@@ -66,11 +92,8 @@ export async function buildUserContext(request: GenerateRequest): Promise<UserCo
     season,
     clientTime: request.clientTime,
     timezone: request.timezone,
-    imageType: request.imageType,
-    // Product info
-    productName: request.productName,
-    productDescription: request.productDescription,
-    productCategory: request.productCategory,
+    campaign: findCampaign(request) || undefined,
+    ...getItemContext(request),
   };
   
   // Fetch weather if location provided
@@ -84,7 +107,7 @@ export async function buildUserContext(request: GenerateRequest): Promise<UserCo
         };
       }
     } catch (error) {
-      console.error('Failed to fetch weather:', error);
+      logger.warn('Failed to fetch weather, continuing without it', { requestId, error });
     }
   }
   
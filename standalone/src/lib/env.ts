@@ -0,0 +1,30 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Env');
+
+/**
+ * Numeric setting from the environment; a value that is not a number, not an integer
+ * when one is required, or out of range warns and falls back to the default
+ */
+export function envNumber(
+  name: string,
+  fallback: number,
+  { min = -Infinity, max = Infinity, integer = false }: { min?: number; max?: number; integer?: boolean } = {}
+): number {
+  const raw = process.env[name];
+  if (!raw?.trim()) return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    logger.warn(`Invalid ${name} "${raw}", using ${fallback}`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Positive integer setting from the environment (counts, sizes, durations)
+ */
+export function envPositiveInt(name: string, fallback: number): number {
+  return envNumber(name, fallback, { min: 1, integer: true });
+}
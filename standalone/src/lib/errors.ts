@@ -0,0 +1,55 @@
+import type { Context } from 'hono';
+import type { ContentfulStatusCode } from 'hono/utils/http-status';
+import type { ErrorCode } from '../types.js';
+
+/**
+ * An error with a machine-readable code, rendered as the standard error envelope
+ * `{ success: false, error, code, details?, retryAfter? }`
+ */
+export class ApiError extends Error {
+  constructor(
+    public readonly code: ErrorCode,
+    message: string,
+    public readonly status: ContentfulStatusCode = 400,
+    public readonly extra: { details?: unknown; retryAfter?: number } = {}
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+/**
+ * Any thrown value as an ApiError
+ *
+ * Unknown errors become a generic INTERNAL_ERROR: their messages can carry file paths or
+ * upstream responses, so they only reach the logs (as the `cause` of the returned error).
+ */
+export function toApiError(error: unknown): ApiError {
+  if (error instanceof ApiError) return error;
+  const apiError = new ApiError('INTERNAL_ERROR', 'Internal server error', 500);
+  apiError.cause = error;
+  return apiError;
+}
+
+/**
+ * Error envelope fields for an error (merge into route-specific responses)
+ */
+export function getErrorBody(error: ApiError) {
+  return {
+    success: false as const,
+    error: error.message,
+    code: error.code,
+    ...error.extra,
+  };
+}
+
+/**
+ * Send an error envelope; `fields` adds route-specific fields (processingTime, cached, ...)
+ */
+export function sendError(c: Context, error: unknown, fields: Record<string, unknown> = {}) {
+  const apiError = toApiError(error);
+  const headers: Record<string, string> = apiError.extra.retryAfter
+    ? { 'Retry-After': String(apiError.extra.retryAfter) }
+    : {};
+  return c.json({ ...getErrorBody(apiError), ...fields }, apiError.status, headers);
+}
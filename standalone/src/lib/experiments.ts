@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import type { ExperimentAssignment } from '../types.js';
+import { loadConfigFile } from './config.js';
+import { normalizeShop } from './storeProfiles.js';
+
+/**
+ * Experiment arm in config/experiments.json
+ */
+export interface ExperimentVariant {
+  id: string;
+  // Relative share among enrolled, non-holdout visitors (default 1)
+  weight?: number;
+  images: boolean;
+  layout: boolean;
+}
+
+/**
+ * Experiment definition; the first active one matching the shop is used
+ */
+export interface Experiment {
+  id: string;
+  enabled?: boolean;
+  // Shops taking part (all shops when omitted)
+  shops?: string[];
+  // ISO dates/times bounding the run
+  startAt?: string;
+  endAt?: string;
+  // Percentage of visitors enrolled (default 100); the rest get the full experience unmeasured
+  traffic?: number;
+  // Percentage of enrolled visitors held out with neither AI images nor layout (default 10)
+  holdout?: number;
+  variants: ExperimentVariant[];
+}
+
+interface ExperimentsConfig {
+  experiments: Experiment[];
+}
+
+const HOLDOUT_VARIANT = 'holdout';
+
+function validate(experiment: Experiment): void {
+  const inRange = (value: number | undefined) => value === undefined || (value >= 0 && value <= 100);
+  if (!inRange(experiment.traffic) || !inRange(experiment.holdout)) {
+    throw new Error(`Experiment "${experiment.id}": traffic and holdout must be percentages (0-100)`);
+  }
+  if (experiment.variants.length === 0 && (experiment.holdout ?? 10) < 100) {
+    throw new Error(`Experiment "${experiment.id}" has no variants`);
+  }
+  if (experiment.variants.some(variant => variant.id === HOLDOUT_VARIANT)) {
+    throw new Error(`Experiment "${experiment.id}": "${HOLDOUT_VARIANT}" is reserved for the holdout group`);
+  }
+}
+
+function loadExperiments(): Experiment[] {
+  const config = loadConfigFile<ExperimentsConfig>(
+    process.env.EXPERIMENTS_CONFIG || 'experiments.json',
+    { experiments: [] }
+  );
+  config.experiments.forEach(validate);
+  return config.experiments;
+}
+
+const experiments = loadExperiments();
+
+function isActive(experiment: Experiment, shop: string, now: number): boolean {
+  if (experiment.enabled === false) return false;
+  if (experiment.startAt && Date.parse(experiment.startAt) > now) return false;
+  if (experiment.endAt && Date.parse(experiment.endAt) <= now) return false;
+  return !experiment.shops || experiment.shops.some(id => normalizeShop(id) === shop);
+}
+
+/**
+ * Uniform position in [0, 1) derived from the visitor, so bucketing is sticky without storage
+ */
+function bucket(experimentId: string, visitorId: string, salt: string): number {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${salt}:${visitorId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+function pickVariant(variants: ExperimentVariant[], position: number): ExperimentVariant {
+  const total = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+  let threshold = position * total;
+  for (const variant of variants) {
+    threshold -= variant.weight ?? 1;
+    if (threshold < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Experiment arm for a visitor, or null when no experiment runs for the shop,
+ * the request carries no visitor id or the visitor falls outside the traffic share
+ */
+export function assignExperiment(visitorId: string | undefined, shop: string | undefined): ExperimentAssignment | null {
+  if (!visitorId) return null;
+
+  const experiment = experiments.find(candidate => isActive(candidate, normalizeShop(shop), Date.now()));
+  if (!experiment) return null;
+
+  if (bucket(experiment.id, visitorId, 'traffic') * 100 >= (experiment.traffic ?? 100)) {
+    return null;
+  }
+
+  // Separate hashes so the holdout and the variant split are independent of enrollment
+  const holdout = experiment.holdout ?? 10;
+  if (bucket(experiment.id, visitorId, 'holdout') * 100 < holdout) {
+    return { experiment: experiment.id, variant: HOLDOUT_VARIANT, images: false, layout: false };
+  }
+
+  const variant = pickVariant(experiment.variants, bucket(experiment.id, visitorId, 'variant'));
+  return { experiment: experiment.id, variant: variant.id, images: variant.images, layout: variant.layout };
+}
@@ -0,0 +1,149 @@
+import dns from 'dns';
+import net from 'net';
+import type { ShopConfig } from './shops.js';
+import { ApiError } from './errors.js';
+import { isMockMode } from '../services/mock.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ImageUrls');
+
+// Shopify's image CDN is always allowed; more hosts via IMAGE_ALLOWED_HOSTS ("*.example.com" matches subdomains)
+const DEFAULT_HOSTS = ['cdn.shopify.com'];
+
+const ENV_HOSTS = (process.env.IMAGE_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|webp|avif|gif)$/i;
+
+// Shopify size variants right before the extension: product_800x.jpg, product_400x400_crop_center@2x.jpg
+// (named sizes like _large are left alone, they are as likely to be part of the file name)
+const SHOPIFY_SIZE_SUFFIX = /_(?:\d+x\d*|x\d+)(?:_crop_(?:top|center|bottom|left|right))?(?:@\d+x)?(?=\.(?:jpe?g|png|webp|avif|gif)$)/i;
+
+// On Shopify's CDN only the version parameter changes the image itself (width/height/crop are resizing hints)
+const KEPT_PARAMS = ['v'];
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+] as const) {
+  privateRanges.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]] as const) {
+  privateRanges.addSubnet(network, prefix, 'ipv6');
+}
+
+// Hosts already resolved to public addresses (DNS lookups are per host, not per request)
+const publicHosts = new Map<string, number>();
+const DNS_CACHE_TTL = 5 * 60 * 1000;
+
+function isPrivateAddress(address: string): boolean {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function matchesHost(hostname: string, pattern: string): boolean {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Hosts a shop may send images from: Shopify CDN, IMAGE_ALLOWED_HOSTS, the
+ * shop's own domains (themes serve images from /cdn/shop/...) and settings.imageHosts
+ */
+export function getAllowedImageHosts(shop: ShopConfig | null): string[] {
+  const hosts = [...DEFAULT_HOSTS, ...ENV_HOSTS];
+  if (shop) {
+    hosts.push(shop.id);
+    hosts.push(...shop.origins.map(origin => new URL(origin).hostname));
+    hosts.push(...(shop.settings.imageHosts || []).map(host => host.toLowerCase()));
+  }
+  return hosts;
+}
+
+function isShopifyImage(url: URL): boolean {
+  return url.hostname.toLowerCase() === 'cdn.shopify.com' || url.pathname.startsWith('/cdn/shop/');
+}
+
+/**
+ * Canonical form of an image URL for cache keys, so every size of the same Shopify
+ * image shares one entry: https, no size suffix, no resizing parameters, no fragment
+ *
+ * Other hosts are returned as is (their parameters may select a different image).
+ * The provider always gets the URL the shop sent.
+ */
+export function normalizeImageUrl(value: string): string {
+  let normalized: URL;
+  try {
+    normalized = new URL(value);
+  } catch {
+    return value;
+  }
+  if (!isShopifyImage(normalized)) return value;
+
+  normalized.protocol = 'https:';
+  normalized.hash = '';
+  normalized.pathname = normalized.pathname.replace(SHOPIFY_SIZE_SUFFIX, '');
+
+  const kept = new URLSearchParams();
+  for (const name of KEPT_PARAMS) {
+    const param = normalized.searchParams.get(name);
+    if (param) kept.set(name, param);
+  }
+  normalized.search = kept.toString();
+
+  return normalized.toString();
+}
+
+async function assertPublicHost(hostname: string): Promise<void> {
+  const cachedUntil = publicHosts.get(hostname);
+  if (cachedUntil && cachedUntil > Date.now()) return;
+
+  let addresses: dns.LookupAddress[];
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new ApiError('INVALID_IMAGE_URL', `imageUrl host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    logger.warn('Rejected host resolving to a private address', { hostname });
+    throw new ApiError('INVALID_IMAGE_URL', 'imageUrl must not point to a private network');
+  }
+  publicHosts.set(hostname, Date.now() + DNS_CACHE_TTL);
+}
+
+/**
+ * Check a generation input
+ *
+ * Rejects hosts outside the shop's allowlist (IMAGE_HOST_NOT_ALLOWED), URLs that
+ * do not name an image file and hosts resolving to private networks (INVALID_IMAGE_URL).
+ */
+export async function validateImageUrl(value: string, shop: ShopConfig | null): Promise<void> {
+  const url = new URL(value);
+  const hostname = url.hostname.toLowerCase();
+
+  if (url.username || url.password) {
+    throw new ApiError('INVALID_IMAGE_URL', 'imageUrl must not contain credentials');
+  }
+  if (net.isIP(hostname.replace(/^\[|\]$/g, '')) || hostname === 'localhost') {
+    throw new ApiError('INVALID_IMAGE_URL', 'imageUrl must use a hostname, not an IP address or localhost');
+  }
+  if (!getAllowedImageHosts(shop).some(pattern => matchesHost(hostname, pattern))) {
+    throw new ApiError('IMAGE_HOST_NOT_ALLOWED', `Images from ${hostname} are not allowed`, 403);
+  }
+  if (!IMAGE_EXTENSION.test(url.pathname)) {
+    throw new ApiError('INVALID_IMAGE_URL', 'imageUrl must point to a .jpg, .png, .webp, .avif or .gif image');
+  }
+
+  // Offline mode never reaches the network, so there is nothing to resolve
+  if (!isMockMode()) {
+    await assertPublicHost(hostname);
+  }
+}
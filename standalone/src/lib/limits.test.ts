@@ -0,0 +1,73 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Hono } from 'hono';
+
+// Limits are read from the environment when the modules load
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'limits-test-'));
+process.env.CONFIG_DIR = process.env.DATA_DIR;
+process.env.TRUSTED_PROXY_COUNT = '1';
+process.env.RATE_LIMIT_IP_PER_MINUTE = '2';
+process.env.RATE_LIMIT_SHOP_PER_MINUTE = '600';
+process.env.QUOTA_DAILY_GENERATIONS = '1';
+
+const { checkLimits, getClientIp, getForwardedHeader } = await import('./limits.js');
+const { recordImageUsage } = await import('../services/usage.js');
+
+after(() => fs.rmSync(process.env.DATA_DIR!, { recursive: true, force: true }));
+
+const app = new Hono();
+app.get('/ip', (c) => c.text(getClientIp(c)));
+app.get('/proto', (c) => c.text(getForwardedHeader(c, 'X-Forwarded-Proto') ?? 'none'));
+app.get('/limits/:kind', (c) => c.json(checkLimits(c, undefined, c.req.param('kind') as 'generation' | 'llm')));
+
+async function get(url: string, headers: Record<string, string> = {}): Promise<Response> {
+  return app.request(url, { headers });
+}
+
+async function check(kind: 'generation' | 'llm', ip: string) {
+  const response = await get(`/limits/${kind}`, { 'X-Forwarded-For': ip });
+  return response.json();
+}
+
+test('client IP is the hop added by the trusted proxy, not a client-supplied one', async () => {
+  const response = await get('/ip', { 'X-Forwarded-For': '10.0.0.1, 198.51.100.7' });
+  assert.equal(await response.text(), '198.51.100.7');
+});
+
+test('client IP falls back when no proxy header is present', async () => {
+  const response = await get('/ip');
+  assert.equal(await response.text(), 'unknown');
+});
+
+test('forwarded headers ignore empty hops and missing values', async () => {
+  assert.equal(await (await get('/proto', { 'X-Forwarded-Proto': 'http, https, ' })).text(), 'https');
+  assert.equal(await (await get('/proto')).text(), 'none');
+});
+
+test('per-IP rate limit refuses once the bucket is empty, with a retry time', async () => {
+  assert.equal(await check('llm', '203.0.113.1'), null);
+  assert.equal(await check('llm', '203.0.113.1'), null);
+
+  const rejection = await check('llm', '203.0.113.1');
+  assert.equal(rejection.code, 'RATE_LIMITED');
+  assert.ok(rejection.retryAfter > 0);
+
+  // Other visitors keep their own allowance
+  assert.equal(await check('llm', '203.0.113.2'), null);
+});
+
+test('a request refused by a quota takes no rate limit tokens', async () => {
+  recordImageUsage(undefined, 'mock');
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await check('generation', '203.0.113.9')).code, 'QUOTA_EXCEEDED');
+  }
+
+  // Both tokens are still there for work the quota allows
+  assert.equal(await check('llm', '203.0.113.9'), null);
+  assert.equal(await check('llm', '203.0.113.9'), null);
+  assert.equal((await check('llm', '203.0.113.9')).code, 'RATE_LIMITED');
+});
@@ -0,0 +1,165 @@
+import type { Context } from 'hono';
+import { getConnInfo } from '@hono/node-server/conninfo';
+import { getShopLimits } from './shops.js';
+import { checkQuota, getUsageKey } from '../services/usage.js';
+import { ApiError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Limits');
+
+/**
+ * Why paid work was refused; sent to clients as a 429
+ */
+export interface LimitRejection {
+  code: 'RATE_LIMITED' | 'QUOTA_EXCEEDED' | 'BUDGET_EXCEEDED';
+  error: string;
+  // Seconds until a retry can succeed (rate limits only)
+  retryAfter?: number;
+}
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+}
+
+/**
+ * Token buckets refilled continuously at perMinute / 60 tokens per second,
+ * holding at most perMinute tokens (so short bursts are allowed)
+ */
+class TokenBuckets {
+  private buckets = new Map<string, Bucket>();
+
+  constructor() {
+    // Drop idle buckets; a full bucket carries no state worth keeping
+    setInterval(() => {
+      const cutoff = Date.now() - 10 * 60 * 1000;
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.updatedAt < cutoff) this.buckets.delete(key);
+      }
+    }, 60 * 1000).unref();
+  }
+
+  private refill(key: string, perMinute: number): Bucket {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: perMinute, updatedAt: now };
+
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Seconds until a token is available (0 when one is), without taking it
+   */
+  wait(key: string, perMinute: number): number {
+    const bucket = this.refill(key, perMinute);
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / (perMinute / 60000) / 1000);
+  }
+
+  /**
+   * Take one token; returns 0 on success or the seconds to wait
+   */
+  take(key: string, perMinute: number): number {
+    const wait = this.wait(key, perMinute);
+    if (wait === 0) this.buckets.get(key)!.tokens -= 1;
+    return wait;
+  }
+}
+
+const buckets = new TokenBuckets();
+
+function loadTrustedProxyCount(): number {
+  const value = process.env.TRUSTED_PROXY_COUNT || '1';
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`TRUSTED_PROXY_COUNT must be a non-negative integer, got "${value}"`);
+  }
+  return count;
+}
+
+// Proxies in front of the server that set X-Forwarded-* headers (Railway: 1); 0 ignores those headers
+const TRUSTED_PROXY_COUNT = loadTrustedProxyCount();
+
+/**
+ * Value of an X-Forwarded-* header as set by the outermost trusted proxy; undefined when
+ * no proxy is trusted or the header is missing
+ *
+ * Entries left of it are sent by the client and can be anything.
+ */
+export function getForwardedHeader(c: Context, name: string): string | undefined {
+  if (TRUSTED_PROXY_COUNT === 0) return undefined;
+  const hops = (c.req.header(name) || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  return hops.length > 0 ? hops[Math.max(0, hops.length - TRUSTED_PROXY_COUNT)] : undefined;
+}
+
+/**
+ * Visitor IP: the X-Forwarded-For hop added by the outermost trusted proxy, socket address otherwise
+ *
+ * Client-supplied entries never key a limit.
+ */
+export function getClientIp(c: Context): string {
+  const forwarded = getForwardedHeader(c, 'X-Forwarded-For');
+  if (forwarded) return forwarded;
+  try {
+    return getConnInfo(c).remote.address || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Rate limits and quotas for one unit of paid work (an image generation or an LLM call)
+ *
+ * Call only on cache misses: cached responses are free and never limited. Tokens are
+ * taken only when every check passes, so a refused request costs no allowance.
+ */
+export function checkLimits(c: Context, shop: string | undefined, kind: 'generation' | 'llm'): LimitRejection | null {
+  const limits = getShopLimits(shop);
+  const usageKey = getUsageKey(shop);
+  const ipKey = `ip:${usageKey}:${getClientIp(c)}`;
+  const shopKey = `shop:${usageKey}`;
+
+  if (limits.ipPerMinute) {
+    const wait = buckets.wait(ipKey, limits.ipPerMinute);
+    if (wait > 0) {
+      return { code: 'RATE_LIMITED', error: 'Too many requests from this visitor', retryAfter: wait };
+    }
+  }
+
+  if (limits.shopPerMinute) {
+    const wait = buckets.wait(shopKey, limits.shopPerMinute);
+    if (wait > 0) {
+      return { code: 'RATE_LIMITED', error: 'Too many requests for this shop', retryAfter: wait };
+    }
+  }
+
+  const violation = checkQuota(shop, kind);
+  if (violation) {
+    logger.warn('Quota exceeded', { requestId: c.get('requestId'), usageKey, reason: violation.error });
+    return violation;
+  }
+
+  if (limits.ipPerMinute) buckets.take(ipKey, limits.ipPerMinute);
+  if (limits.shopPerMinute) buckets.take(shopKey, limits.shopPerMinute);
+  return null;
+}
+
+/**
+ * A rejection as a 429 ApiError (sendError adds the Retry-After header)
+ */
+export function toLimitError(rejection: LimitRejection): ApiError {
+  return new ApiError(rejection.code, rejection.error, 429, { retryAfter: rejection.retryAfter });
+}
+
+// Event beacons per visitor IP and minute (0 disables the limit)
+const EVENTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_EVENTS_PER_MINUTE || '120', 10);
+
+/**
+ * Rate limit for storefront event beacons (no quotas: events cost nothing)
+ */
+export function checkEventLimit(c: Context, shop: string | undefined): LimitRejection | null {
+  if (!EVENTS_PER_MINUTE) return null;
+  const wait = buckets.take(`events:${getUsageKey(shop)}:${getClientIp(c)}`, EVENTS_PER_MINUTE);
+  return wait > 0 ? { code: 'RATE_LIMITED', error: 'Too many events from this visitor', retryAfter: wait } : null;
+}
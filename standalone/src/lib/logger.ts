@@ -0,0 +1,140 @@
+import { createMiddleware } from 'hono/factory';
+import type { RequestIdVariables } from 'hono/request-id';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export type LogFields = Record<string, unknown>;
+
+export interface Logger {
+  debug(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  error(message: string, fields?: LogFields): void;
+  // Logger whose entries all carry these fields (e.g. the request id)
+  child(fields: LogFields): Logger;
+}
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function parseLevel(value: string | undefined): LogLevel {
+  if (value && value in LEVELS) return value as LogLevel;
+  if (value) console.warn(`[Logger] Unknown LOG_LEVEL "${value}", using info`);
+  return 'info';
+}
+
+const MIN_LEVEL = LEVELS[parseLevel(process.env.LOG_LEVEL)];
+
+// json (one object per line, for log shippers) or pretty (local development)
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+// =====================
+// Redaction
+// =====================
+
+const REDACTED = '[redacted]';
+
+// Precise location of a shopper; never written to logs
+const COORDINATE_KEYS = new Set(['latitude', 'longitude', 'lat', 'lon', 'lng']);
+
+// Referrers can carry search terms, click ids and personal data in their path and query
+function redactReferrer(value: unknown): unknown {
+  if (typeof value !== 'string' || !value) return value;
+  try {
+    return new URL(value).hostname;
+  } catch {
+    return REDACTED;
+  }
+}
+
+function serializeError(error: Error, withStack: boolean): LogFields {
+  const serialized: LogFields = { name: error.name, message: error.message };
+  const code = (error as { code?: unknown }).code;
+  if (code !== undefined) serialized.code = code;
+  if (withStack && error.stack) serialized.stack = error.stack;
+  if (error.cause instanceof Error) serialized.cause = serializeError(error.cause, withStack);
+  return serialized;
+}
+
+function redact(value: unknown, level: LogLevel, depth = 0): unknown {
+  if (value instanceof Error) return serializeError(value, level === 'error');
+  if (depth > 4 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, level, depth + 1));
+
+  const result: LogFields = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (COORDINATE_KEYS.has(key)) {
+      result[key] = item === undefined ? undefined : REDACTED;
+    } else if (key === 'referrer') {
+      result[key] = redactReferrer(item);
+    } else {
+      result[key] = redact(item, level, depth + 1);
+    }
+  }
+  return result;
+}
+
+// =====================
+// Output
+// =====================
+
+function write(level: LogLevel, component: string, message: string, fields: LogFields): void {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const time = new Date().toISOString();
+  const redacted = redact(fields, level) as LogFields;
+
+  let line: string;
+  if (PRETTY) {
+    const extra = Object.keys(redacted).length ? ' ' + JSON.stringify(redacted) : '';
+    line = `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${message}${extra}`;
+  } else {
+    line = JSON.stringify({ time, level, component, msg: message, ...redacted });
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Logger for a module ("Generate", "fal.ai", …); entries are JSON lines with
+ * time, level, component, msg and the given fields (coordinates and referrers redacted)
+ */
+export function createLogger(component: string, baseFields: LogFields = {}): Logger {
+  const log = (level: LogLevel) => (message: string, fields: LogFields = {}) =>
+    write(level, component, message, { ...baseFields, ...fields });
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (fields) => createLogger(component, { ...baseFields, ...fields }),
+  };
+}
+
+// =====================
+// HTTP
+// =====================
+
+const httpLogger = createLogger('HTTP');
+
+/**
+ * One access log line per request, tagged with the id set by hono/request-id
+ */
+export const accessLog = () => createMiddleware<{ Variables: RequestIdVariables }>(async (c, next) => {
+  const startedAt = Date.now();
+  await next();
+
+  // Path only: query strings carry shop keys (?key=) and UTM parameters
+  const fields = {
+    requestId: c.get('requestId'),
+    method: c.req.method,
+    path: c.req.path,
+    status: c.res.status,
+    durationMs: Date.now() - startedAt,
+  };
+  if (c.res.status >= 500) {
+    httpLogger.error('Request failed', fields);
+  } else {
+    httpLogger.info('Request', fields);
+  }
+});
@@ -0,0 +1,183 @@
+import { createMiddleware } from 'hono/factory';
+import { routePath } from 'hono/route';
+import { ApiError, sendError } from './errors.js';
+import { tokensEqual } from './admin.js';
+
+type Labels = Record<string, string>;
+
+interface Metric {
+  name: string;
+  help: string;
+  type: 'counter' | 'gauge' | 'histogram';
+  render(): string[];
+}
+
+const PREFIX = 'ai_visual_';
+
+const metrics: Metric[] = [];
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: Labels): string {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label set, so label order must not matter
+function seriesKey(labels: Labels): string {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Monotonic counter with labels
+ */
+export class Counter {
+  private series = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(readonly name: string, readonly help: string) {
+    metrics.push({ name, help, type: 'counter', render: () => this.render() });
+  }
+
+  inc(labels: Labels = {}, value = 1): void {
+    const key = seriesKey(labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  private render(): string[] {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * Histogram of durations in seconds (cumulative buckets, as Prometheus expects)
+ */
+export class Histogram {
+  private series = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+
+  constructor(readonly name: string, readonly help: string, private buckets: number[]) {
+    metrics.push({ name, help, type: 'histogram', render: () => this.render() });
+  }
+
+  observe(labels: Labels, seconds: number): void {
+    const key = seriesKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series!.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  /**
+   * Observe the time since `startedAt` (Date.now() milliseconds)
+   */
+  observeSince(labels: Labels, startedAt: number): void {
+    this.observe(labels, (Date.now() - startedAt) / 1000);
+  }
+
+  private render(): string[] {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${Math.round(sum * 1000) / 1000}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ]);
+  }
+}
+
+export function counter(name: string, help: string): Counter {
+  return new Counter(PREFIX + name, help);
+}
+
+export function histogram(name: string, help: string, buckets: number[]): Histogram {
+  return new Histogram(PREFIX + name, help, buckets);
+}
+
+/**
+ * Gauge read from its owner at scrape time (queue depth, in-flight work, cache size)
+ */
+export function gauge(name: string, help: string, collect: () => number | Array<{ labels: Labels; value: number }>): void {
+  metrics.push({
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    render: () => {
+      const value = collect();
+      const series = typeof value === 'number' ? [{ labels: {}, value }] : value;
+      return series.map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+// Storefront requests are mostly cache hits; model calls take tens of seconds
+export const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+export const UPSTREAM_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 90, 120, 180];
+
+// =====================
+// Shared metrics
+// =====================
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', HTTP_BUCKETS);
+
+const cacheLookups = counter('cache_lookups_total', 'Cache lookups by cache (image, weather, personalize) and result (hit, miss)');
+
+/**
+ * Count a cache lookup; hit ratio = hits / (hits + misses)
+ */
+export function recordCacheLookup(cache: 'image' | 'weather' | 'personalize', hit: boolean): void {
+  cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Count and time every request under its route pattern (not the raw path, which
+ * would create a series per image or job id)
+ */
+export const httpMetrics = () => createMiddleware(async (c, next) => {
+  const startedAt = Date.now();
+  await next();
+
+  const route = routePath(c, -1);
+  const labels = { method: c.req.method, route: route === '*' || route === '/*' ? '(unmatched)' : route };
+  httpRequests.inc({ ...labels, status: String(c.res.status) });
+  // SSE streams stay open for minutes and would drown the latency histogram
+  if (!c.res.headers.get('Content-Type')?.startsWith('text/event-stream')) {
+    httpDuration.observeSince(labels, startedAt);
+  }
+});
+
+/**
+ * Require `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set (open otherwise,
+ * for scrapers on a private network)
+ */
+export const metricsAuth = () => createMiddleware(async (c, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+
+  const header = c.req.header('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!tokensEqual(provided, token)) {
+    return sendError(c, new ApiError('UNAUTHORIZED', 'Invalid or missing metrics token', 401));
+  }
+  return next();
+});
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+export function renderMetrics(): string {
+  return metrics.flatMap(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render(),
+  ]).join('\n') + '\n';
+}
@@ -1,82 +1,213 @@
 import type { TrafficSource } from '../types.js';
+import { loadConfigFile } from './config.js';
+import { getShopById } from './shops.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Platforms');
+
+export const TRAFFIC_SOURCES: [TrafficSource, ...TrafficSource[]] = [
+  'instagram', 'tiktok', 'facebook', 'pinterest', 'youtube', 'snapchat', 'x', 'reddit',
+  'google', 'bing', 'email', 'affiliate', 'direct',
+];
 
 /**
- * Visual style presets for different traffic sources
- * 
- * Instagram: Aesthetic, warm tones, lifestyle photography
- * TikTok: Trendy, vibrant, Gen-Z appeal, bold colors
- * Facebook: Family-friendly, warm, authentic
- * Google: Professional, clean, product-focused
- * Direct: Neutral, elegant default
+ * Detection rule and visual style of a traffic source (config/traffic-sources.json)
+ *
+ * Patterns are case-insensitive and `*` matches anything.
  */
-export const SOURCE_STYLES: Record<TrafficSource, string> = {
-  instagram: 'aesthetic lifestyle photography, warm golden tones, soft natural lighting, instagram-worthy composition, cozy atmosphere',
-  tiktok: 'trendy vibrant setting, bold neon colors, dynamic urban backdrop, gen-z aesthetic, eye-catching modern style',
-  facebook: 'warm family-friendly environment, authentic homey atmosphere, relatable daily life setting, comfortable ambiance',
-  google: 'clean professional product showcase, minimalist background, focused studio lighting, commercial quality',
-  direct: 'elegant neutral background, professional product photography, balanced lighting, versatile style',
+export interface TrafficSourceRule {
+  // Human-readable name
+  name: string;
+  // utm_source values ("instagram", "ig", "klaviyo*")
+  aliases?: string[];
+  // utm_medium values ("email", "affiliate*")
+  mediums?: string[];
+  // Referrer domains, subdomains included ("pinterest.*", "t.co")
+  referrers?: string[];
+  // Scene style used when the store profile has no styleHint for the source
+  style: string;
+}
+
+/**
+ * Rules per source; the first match wins, in file order
+ */
+interface TrafficSourcesConfig {
+  sources: Partial<Record<TrafficSource, TrafficSourceRule>>;
+}
+
+// Used when no config file exists: the original four platforms
+const DEFAULT_CONFIG: TrafficSourcesConfig = {
+  sources: {
+    instagram: {
+      name: 'Instagram',
+      aliases: ['*instagram*', 'ig'],
+      referrers: ['instagram.com'],
+      style: 'aesthetic lifestyle photography, warm golden tones, soft natural lighting, instagram-worthy composition, cozy atmosphere',
+    },
+    tiktok: {
+      name: 'TikTok',
+      aliases: ['*tiktok*', 'tt'],
+      referrers: ['tiktok.com'],
+      style: 'trendy vibrant setting, bold neon colors, dynamic urban backdrop, gen-z aesthetic, eye-catching modern style',
+    },
+    facebook: {
+      name: 'Facebook',
+      aliases: ['*facebook*', 'fb'],
+      referrers: ['facebook.com', 'fb.com'],
+      style: 'warm family-friendly environment, authentic homey atmosphere, relatable daily life setting, comfortable ambiance',
+    },
+    google: {
+      name: 'Google Search',
+      aliases: ['*google*'],
+      referrers: ['google.*'],
+      style: 'clean professional product showcase, minimalist background, focused studio lighting, commercial quality',
+    },
+    direct: {
+      name: 'Direct Visit',
+      style: 'elegant neutral background, professional product photography, balanced lighting, versatile style',
+    },
+  },
 };
 
+interface CompiledSource {
+  id: TrafficSource;
+  rule: TrafficSourceRule;
+  aliases: RegExp[];
+  mediums: RegExp[];
+  referrers: RegExp[];
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toPattern(pattern: string): RegExp {
+  return new RegExp(`^${escapeRegExp(pattern.trim()).replace(/\*/g, '.*')}$`, 'i');
+}
+
+function toDomainPattern(domain: string): RegExp {
+  return new RegExp(`^(?:.*\\.)?${escapeRegExp(domain.trim()).replace(/\*/g, '.*')}$`, 'i');
+}
+
+function compileSources(sources: TrafficSourcesConfig['sources']): CompiledSource[] {
+  return (Object.entries(sources) as Array<[TrafficSource, TrafficSourceRule]>).map(([id, rule]) => ({
+    id,
+    rule,
+    aliases: (rule.aliases || []).map(toPattern),
+    mediums: (rule.mediums || []).map(toPattern),
+    referrers: (rule.referrers || []).map(toDomainPattern),
+  }));
+}
+
+function loadSources(): TrafficSourcesConfig['sources'] {
+  const config = loadConfigFile<TrafficSourcesConfig>(
+    process.env.TRAFFIC_SOURCES_CONFIG || 'traffic-sources.json',
+    DEFAULT_CONFIG
+  );
+
+  // Unknown ids would never reach the TrafficSource type, fail fast at startup
+  for (const id of Object.keys(config.sources)) {
+    if (!TRAFFIC_SOURCES.includes(id as TrafficSource)) {
+      throw new Error(`Traffic source config has unknown source "${id}" (known: ${TRAFFIC_SOURCES.join(', ')})`);
+    }
+  }
+
+  return { ...config.sources, direct: config.sources.direct || DEFAULT_CONFIG.sources.direct };
+}
+
+const baseSources = loadSources();
+const compiledBase = compileSources(baseSources);
+
+// Compiled rules of shops with overrides, built on first use
+const compiledByShop = new Map<string, CompiledSource[]>();
+
+/**
+ * Sources of a shop: the shared rules with the shop's overrides (settings.trafficSources) on top
+ *
+ * An override replaces only the fields it sets; sources the shared file lacks are appended.
+ */
+function getSources(shopId: string | undefined): CompiledSource[] {
+  const shop = getShopById(shopId);
+  const overrides = shop?.settings.trafficSources;
+  if (!shop || !overrides) return compiledBase;
+
+  let compiled = compiledByShop.get(shop.id);
+  if (!compiled) {
+    const sources = { ...baseSources };
+    for (const [id, override] of Object.entries(overrides) as Array<[TrafficSource, Partial<TrafficSourceRule>]>) {
+      if (!TRAFFIC_SOURCES.includes(id)) {
+        logger.warn('Ignoring override for unknown traffic source', { shop: shop.id, source: id });
+        continue;
+      }
+      const base = sources[id] || { name: id, style: sources.direct!.style };
+      sources[id] = { ...base, ...override };
+    }
+    compiled = compileSources(sources);
+    compiledByShop.set(shop.id, compiled);
+  }
+  return compiled;
+}
+
+function getHostname(referrer: string | undefined): string {
+  if (!referrer) return '';
+  try {
+    return new URL(referrer).hostname;
+  } catch {
+    return '';
+  }
+}
+
 /**
  * Detect traffic source from UTM parameters and referrer
+ *
+ * utm_source aliases are most reliable and checked first, then utm_medium
+ * (email, affiliate links), then the referrer domain.
  */
 export function detectTrafficSource(params: {
   utmSource?: string;
+  utmMedium?: string;
   referrer?: string;
+  shop?: string;
 }): TrafficSource {
-  const { utmSource, referrer } = params;
-  const source = utmSource?.toLowerCase() || '';
-  const ref = referrer?.toLowerCase() || '';
-  
-  // Check UTM source first (most reliable)
-  if (source.includes('instagram') || source === 'ig') {
-    return 'instagram';
-  }
-  if (source.includes('tiktok') || source === 'tt') {
-    return 'tiktok';
-  }
-  if (source.includes('facebook') || source === 'fb') {
-    return 'facebook';
-  }
-  if (source.includes('google')) {
-    return 'google';
-  }
-  
-  // Fallback to referrer check
-  if (ref.includes('instagram.com') || ref.includes('l.instagram.com')) {
-    return 'instagram';
-  }
-  if (ref.includes('tiktok.com')) {
-    return 'tiktok';
-  }
-  if (ref.includes('facebook.com') || ref.includes('fb.com') || ref.includes('l.facebook.com')) {
-    return 'facebook';
-  }
-  if (ref.includes('google.com') || ref.includes('google.co')) {
-    return 'google';
-  }
-  
-  return 'direct';
+  const sources = getSources(params.shop);
+  const utmSource = params.utmSource?.trim() || '';
+  const utmMedium = params.utmMedium?.trim() || '';
+  const host = getHostname(params.referrer);
+
+  const match =
+    (utmSource && sources.find(source => source.aliases.some(pattern => pattern.test(utmSource))))
+    || (utmMedium && sources.find(source => source.mediums.some(pattern => pattern.test(utmMedium))))
+    || (host && sources.find(source => source.referrers.some(pattern => pattern.test(host))));
+
+  return match ? match.id : 'direct';
+}
+
+/**
+ * Detection rules of a shop as served to embed.js (styles stay on the server)
+ */
+export function getTrafficSourceRules(shopId: string | undefined): Array<{ id: TrafficSource } & Pick<TrafficSourceRule, 'aliases' | 'mediums' | 'referrers'>> {
+  return getSources(shopId)
+    .filter(source => source.id !== 'direct')
+    .map(({ id, rule }) => ({
+      id,
+      aliases: rule.aliases || [],
+      mediums: rule.mediums || [],
+      referrers: rule.referrers || [],
+    }));
 }
 
 /**
  * Get style string for a traffic source
  */
-export function getStyleForSource(source: TrafficSource): string {
-  return SOURCE_STYLES[source] || SOURCE_STYLES.direct;
+export function getStyleForSource(source: TrafficSource, shopId?: string): string {
+  const sources = getSources(shopId);
+  const match = sources.find(item => item.id === source) || sources.find(item => item.id === 'direct');
+  return match!.rule.style;
 }
 
 /**
  * Get a human-readable name for the traffic source
  */
-export function getSourceName(source: TrafficSource): string {
-  const names: Record<TrafficSource, string> = {
-    instagram: 'Instagram',
-    tiktok: 'TikTok',
-    facebook: 'Facebook',
-    google: 'Google Search',
-    direct: 'Direct Visit',
-  };
-  return names[source];
+export function getSourceName(source: TrafficSource, shopId?: string): string {
+  return getSources(shopId).find(item => item.id === source)?.rule.name || source;
 }
-
@@ -0,0 +1,58 @@
+import { loadConfigFile } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Pricing');
+
+/**
+ * Unit costs in USD (config/pricing.json), used for budgets and cost estimates
+ */
+interface PricingConfig {
+  // Cost per generated image, by model id
+  images: Record<string, number>;
+  // Cost per million tokens, by model id
+  llm: Record<string, { inputPer1M: number; outputPer1M: number }>;
+}
+
+const DEFAULT_PRICING: PricingConfig = {
+  images: {
+    'fal-ai/nano-banana/edit': 0.039,
+    'fal-ai/nano-banana-pro/edit': 0.15,
+  },
+  llm: {
+    'gpt-4.1-mini': { inputPer1M: 0.4, outputPer1M: 1.6 },
+    'gpt-4o-mini': { inputPer1M: 0.15, outputPer1M: 0.6 },
+  },
+};
+
+const pricing = loadConfigFile<PricingConfig>(process.env.PRICING_CONFIG || 'pricing.json', DEFAULT_PRICING);
+
+const warned = new Set<string>();
+
+function warnUnpriced(model: string): void {
+  if (warned.has(model)) return;
+  warned.add(model);
+  logger.warn(`No unit cost configured for ${model}, counting it as $0`);
+}
+
+/**
+ * Estimated cost of one image from the given model
+ *
+ * Mock renders are priced as the model they stand in for, so budgets can be tried offline.
+ */
+export function estimateImageCost(model: string): number {
+  if (model in pricing.images) return pricing.images[model];
+  if (model !== 'mock') warnUnpriced(model);
+  return 0;
+}
+
+/**
+ * Estimated cost of one chat completion
+ */
+export function estimateLlmCost(model: string, inputTokens: number, outputTokens: number): number {
+  const price = pricing.llm[model];
+  if (!price) {
+    warnUnpriced(model);
+    return 0;
+  }
+  return (inputTokens * price.inputPer1M + outputTokens * price.outputPer1M) / 1_000_000;
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hono } from 'hono';
+import {
+  MAX_BATCH_ITEMS,
+  MAX_PERSONALIZE_PRODUCTS,
+  generateBatchRequestSchema,
+  generateRequestSchema,
+  parseBody,
+  personalizeRequestSchema,
+} from './schemas.js';
+import { sendError } from './errors.js';
+
+function products(count: number, tags: string[] = []) {
+  return Array.from({ length: count }, (_, index) => ({ handle: `product-${index}`, title: `Product ${index}`, tags }));
+}
+
+test('personalize accepts the 250 products embed.js loads', () => {
+  const result = personalizeRequestSchema.safeParse({ products: products(MAX_PERSONALIZE_PRODUCTS) });
+  assert.equal(MAX_PERSONALIZE_PRODUCTS, 250);
+  assert.ok(result.success);
+});
+
+test('personalize rejects more products than embed.js sends', () => {
+  const result = personalizeRequestSchema.safeParse({ products: products(MAX_PERSONALIZE_PRODUCTS + 1) });
+  assert.equal(result.success, false);
+});
+
+test('personalize accepts tags up to Shopify limits and rejects longer ones', () => {
+  const longestTag = 'x'.repeat(255);
+  assert.ok(personalizeRequestSchema.safeParse({ products: products(1, Array(250).fill(longestTag)) }).success);
+  assert.equal(personalizeRequestSchema.safeParse({ products: products(1, Array(251).fill('tag')) }).success, false);
+  assert.equal(personalizeRequestSchema.safeParse({ products: products(1, ['x'.repeat(256)]) }).success, false);
+});
+
+test('personalize defaults missing tags and null fields', () => {
+  const result = personalizeRequestSchema.parse({ shop: null, products: [{ handle: ' hat ', title: 'Hat', tags: null }] });
+  assert.equal(result.shop, undefined);
+  assert.deepEqual(result.products, [{ handle: 'hat', title: 'Hat', tags: [] }]);
+});
+
+test('imageUrl gets https for protocol-relative URLs and rejects other schemes', () => {
+  const result = generateRequestSchema.parse({ imageUrl: '//cdn.shopify.com/s/files/hat.jpg' });
+  assert.equal(result.imageUrl, 'https://cdn.shopify.com/s/files/hat.jpg');
+  assert.equal(generateRequestSchema.safeParse({ imageUrl: 'ftp://cdn.shopify.com/hat.jpg' }).success, false);
+  assert.equal(generateRequestSchema.safeParse({ imageUrl: '/hat.jpg' }).success, false);
+});
+
+test('batch rejects empty and oversized item lists', () => {
+  assert.equal(generateBatchRequestSchema.safeParse({ items: [] }).success, false);
+  assert.equal(generateBatchRequestSchema.safeParse({ items: Array(MAX_BATCH_ITEMS + 1).fill({}) }).success, false);
+  assert.ok(generateBatchRequestSchema.safeParse({ items: Array(MAX_BATCH_ITEMS).fill({}) }).success);
+});
+
+/**
+ * Run parseBody the way a route does and return the error envelope it produces
+ */
+async function parseError(body: string): Promise<{ status: number; body: Record<string, unknown> }> {
+  const app = new Hono();
+  app.post('/', async (c) => {
+    try {
+      await parseBody(c, generateRequestSchema);
+      return c.json({ success: true });
+    } catch (error) {
+      return sendError(c, error);
+    }
+  });
+  const response = await app.request('/', { method: 'POST', body, headers: { 'Content-Type': 'application/json' } });
+  return { status: response.status, body: await response.json() };
+}
+
+test('parseBody reports invalid JSON as INVALID_REQUEST', async () => {
+  const { status, body } = await parseError('{');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_REQUEST');
+});
+
+test('parseBody reports a bad imageUrl alone as INVALID_IMAGE_URL', async () => {
+  const { status, body } = await parseError(JSON.stringify({ imageUrl: 'not a url' }));
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_IMAGE_URL');
+  assert.deepEqual(body.details, [{ path: 'imageUrl', message: 'must be an absolute http(s) URL' }]);
+});
+
+test('parseBody lists every failing field', async () => {
+  const { body } = await parseError(JSON.stringify({ imageUrl: 'not a url', timeOfDay: 'noon' }));
+  assert.equal(body.code, 'INVALID_REQUEST');
+  assert.deepEqual((body.details as { path: string }[]).map((detail) => detail.path).sort(), ['imageUrl', 'timeOfDay']);
+});
@@ -0,0 +1,227 @@
+import { z } from 'zod';
+import type { Context } from 'hono';
+import type { CampaignInput, EventsRequest, GenerateBatchItem, GenerateBatchRequest, GenerateRequest, PersonalizeRequest } from '../types.js';
+import { ApiError } from './errors.js';
+import { TRAFFIC_SOURCES } from './platforms.js';
+
+// Upper bound for images in one batch request
+export const MAX_BATCH_ITEMS = 50;
+
+// Upper bound for products sent to /api/personalize (embed.js loads /products.json?limit=250)
+export const MAX_PERSONALIZE_PRODUCTS = 250;
+
+// Shopify's own limits: 250 tags per product, 255 characters per tag
+const MAX_PRODUCT_TAGS = 250;
+const MAX_TAG_LENGTH = 255;
+
+// Upper bound for events in one /api/events beacon
+export const MAX_EVENTS = 50;
+
+/**
+ * Optional field; embed.js sends null for values it could not read from the page
+ */
+function optional<T extends z.ZodTypeAny>(schema: T) {
+  return schema.nullish().transform((value) => value ?? undefined);
+}
+
+const text = (max: number) => optional(z.string().trim().max(max));
+
+// Absolute http(s) URL; protocol-relative Shopify CDN URLs ("//cdn.shopify.com/...") get https
+const imageUrlSchema = z.string()
+  .trim()
+  .max(2048)
+  .transform((value) => value.startsWith('//') ? `https:${value}` : value)
+  .refine((value) => {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+      return false;
+    }
+  }, 'must be an absolute http(s) URL');
+
+const imageTypeSchema = optional(z.enum(['product', 'banner', 'collection', 'imageWithText']));
+
+/**
+ * Per-image fields (single requests and batch items)
+ */
+const itemShape = {
+  imageUrl: imageUrlSchema,
+  imageType: imageTypeSchema,
+  productName: text(200),
+  productDescription: text(2000),
+  productCategory: text(200),
+  collectionTitle: text(200),
+  collectionDescription: text(2000),
+  productNames: optional(z.array(z.string().trim().max(200)).max(50)),
+  productCount: optional(z.number().int().min(0).max(100000)),
+};
+
+/**
+ * Visitor context fields shared by a single request and a whole batch
+ */
+const contextShape = {
+  shop: text(255),
+  visitorId: text(64),
+  utmSource: text(200),
+  utmMedium: text(200),
+  utmCampaign: text(200),
+  utmContent: text(500),
+  utmTerm: text(200),
+  referrer: text(2048),
+  timeOfDay: optional(z.enum(['morning', 'afternoon', 'evening', 'night'])),
+  season: optional(z.enum(['spring', 'summer', 'autumn', 'winter'])),
+  clientTime: text(64),
+  timezone: text(64),
+  latitude: optional(z.number().min(-90).max(90)),
+  longitude: optional(z.number().min(-180).max(180)),
+  forceGenerate: optional(z.boolean()),
+  trafficSource: optional(z.enum(TRAFFIC_SOURCES)),
+  async: optional(z.boolean()),
+};
+
+export const generateRequestSchema: z.ZodType<GenerateRequest, z.ZodTypeDef, unknown> = z.object({
+  ...contextShape,
+  ...itemShape,
+});
+
+export const generateBatchItemSchema: z.ZodType<GenerateBatchItem, z.ZodTypeDef, unknown> = z.object(itemShape);
+
+/**
+ * Items are validated one by one so a bad item fails alone (see generateBatchItemSchema)
+ */
+export const generateBatchRequestSchema: z.ZodType<
+  Omit<GenerateBatchRequest, 'items'> & { items: unknown[] },
+  z.ZodTypeDef,
+  unknown
+> = z.object({
+  ...contextShape,
+  items: z.array(z.unknown())
+    .min(1, 'items must be a non-empty array')
+    .max(MAX_BATCH_ITEMS, `A batch can contain at most ${MAX_BATCH_ITEMS} items`),
+});
+
+export const personalizeRequestSchema: z.ZodType<PersonalizeRequest, z.ZodTypeDef, unknown> = z.object({
+  shop: text(255),
+  visitorId: text(64),
+  utmSource: text(200),
+  utmMedium: text(200),
+  utmCampaign: text(200),
+  utmContent: text(500),
+  utmTerm: text(200),
+  products: optional(z.array(z.object({
+    handle: z.string().trim().min(1).max(255),
+    title: z.string().trim().max(255),
+    tags: optional(z.array(z.string().max(MAX_TAG_LENGTH)).max(MAX_PRODUCT_TAGS)).transform((tags) => tags || []),
+  })).max(MAX_PERSONALIZE_PRODUCTS)),
+});
+
+export const eventsRequestSchema: z.ZodType<EventsRequest, z.ZodTypeDef, unknown> = z.object({
+  shop: text(255),
+  visitorId: text(64),
+  utmSource: text(200),
+  utmMedium: text(200),
+  utmCampaign: text(200),
+  utmContent: text(500),
+  utmTerm: text(200),
+  referrer: text(2048),
+  theme: optional(z.number().int().min(1).max(10)),
+  experiment: text(100),
+  variant: text(100),
+  events: z.array(z.object({
+    type: z.enum(['image_shown', 'image_hovered', 'product_clicked', 'add_to_cart', 'modal_closed']),
+    timestamp: optional(z.number().int().positive()),
+    generationId: text(64),
+    imageType: imageTypeSchema,
+    productHandle: text(255),
+    ai: optional(z.boolean()),
+    path: text(500),
+  }))
+    .min(1, 'events must be a non-empty array')
+    .max(MAX_EVENTS, `A beacon can contain at most ${MAX_EVENTS} events`),
+});
+
+const isoDate = optional(z.string().trim().refine((value) => !isNaN(Date.parse(value)), 'must be an ISO date'));
+
+const handles = optional(z.array(z.string().trim().min(1).max(255)).max(MAX_PERSONALIZE_PRODUCTS))
+  .transform((list) => list || []);
+
+// Same limits as the model's copy in /api/personalize
+const copyText = (max: number) => optional(z.string().trim().min(1).max(max));
+const copyItems = (max: number) => optional(z.tuple([
+  z.string().trim().min(1).max(max),
+  z.string().trim().min(1).max(max),
+  z.string().trim().min(1).max(max),
+]));
+
+export const campaignInputSchema: z.ZodType<CampaignInput, z.ZodTypeDef, unknown> = z.object({
+  name: z.string().trim().min(1).max(200),
+  shop: text(255),
+  enabled: optional(z.boolean()).transform((enabled) => enabled ?? true),
+  match: z.object({
+    utmSource: text(200),
+    utmMedium: text(200),
+    utmCampaign: text(200),
+    utmContent: text(500),
+    utmTerm: text(200),
+  }).refine((match) => Object.values(match).some(Boolean), 'must set at least one UTM field'),
+  brief: text(2000),
+  theme: optional(z.number().int().min(1).max(10)),
+  pinnedProducts: handles,
+  excludedProducts: handles,
+  copy: optional(z.object({
+    heroTitle: copyText(60),
+    featuredTitle: copyText(60),
+    iwtTitle: copyText(50),
+    iwtBody: copyText(200),
+    vibeBarText: copyText(80),
+    trustItems: copyItems(30),
+    promoBannerText: copyText(80),
+    socialProofItems: copyItems(40),
+  })).transform((copy) => copy || {}),
+  startAt: isoDate,
+  endAt: isoDate,
+}).refine(
+  (campaign) => !campaign.startAt || !campaign.endAt || Date.parse(campaign.startAt) < Date.parse(campaign.endAt),
+  { message: 'must be after startAt', path: ['endAt'] }
+);
+
+// Approve / reject / regenerate a held generation
+export const reviewDecisionSchema = z.object({
+  note: text(500),
+});
+
+/**
+ * Turn a validation failure into an ApiError (INVALID_IMAGE_URL when only imageUrl is wrong)
+ */
+export function toValidationError(error: z.ZodError): ApiError {
+  const details = error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+  const onlyImageUrl = error.issues.every((issue) => issue.path[issue.path.length - 1] === 'imageUrl');
+  return new ApiError(
+    onlyImageUrl ? 'INVALID_IMAGE_URL' : 'INVALID_REQUEST',
+    details.map((detail) => detail.path ? `${detail.path}: ${detail.message}` : detail.message).join('; '),
+    400,
+    { details }
+  );
+}
+
+/**
+ * Parse and validate a JSON request body; throws an ApiError on failure
+ */
+export async function parseBody<T>(c: Context, schema: z.ZodType<T, z.ZodTypeDef, unknown>): Promise<T> {
+  let raw: unknown;
+  try {
+    raw = await c.req.json();
+  } catch {
+    throw new ApiError('INVALID_REQUEST', 'Request body must be valid JSON');
+  }
+
+  const result = schema.safeParse(raw);
+  if (!result.success) {
+    throw toValidationError(result.error);
+  }
+  return result.data;
+}
@@ -0,0 +1,208 @@
+import type { Context } from 'hono';
+import { createMiddleware } from 'hono/factory';
+import type { RequestIdVariables } from 'hono/request-id';
+import type { ImageType, TrafficSource } from '../types.js';
+import type { TrafficSourceRule } from './platforms.js';
+import { loadConfigFile } from './config.js';
+import { ApiError, sendError } from './errors.js';
+import { tokensEqual } from './admin.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Shops');
+
+/**
+ * A shop allowed to use the service (config/shops.json)
+ */
+export interface ShopConfig {
+  // Shop identifier, the myshopify domain ("my-store.myshopify.com")
+  id: string;
+  // Publishable key sent by embed.js (X-Shop-Key header or ?key= for EventSource)
+  publishableKey: string;
+  // Storefront origins allowed to call the API ("https://my-store.com")
+  origins: string[];
+  settings: ShopSettings;
+}
+
+export interface ShopSettings {
+  // Store profile id (overrides the profile's own shop list)
+  profile?: string;
+  // Image types this shop may generate (all when omitted)
+  imageTypes?: ImageType[];
+  // Extra hosts the shop's images come from (its origins and cdn.shopify.com are always allowed)
+  imageHosts?: string[];
+  // Honor forceGenerate (cache bypass) from the storefront, off by default
+  allowForceGenerate?: boolean;
+  // Hold new generations for admin review, serving the original until approved (REVIEW_REQUIRED when omitted)
+  reviewRequired?: boolean;
+  // Traffic source rules replacing fields of the shared ones (config/traffic-sources.json)
+  trafficSources?: Partial<Record<TrafficSource, Partial<TrafficSourceRule>>>;
+  // Overrides for the default limits below
+  limits?: ShopLimits;
+}
+
+/**
+ * Rate limits (token buckets) and quotas; omitted quotas are unlimited
+ */
+export interface ShopLimits {
+  ipPerMinute?: number;
+  shopPerMinute?: number;
+  dailyGenerations?: number;
+  monthlyGenerations?: number;
+  dailyLlmTokens?: number;
+  monthlyLlmTokens?: number;
+  monthlyBudgetUsd?: number;
+}
+
+interface ShopsConfig {
+  shops: Record<string, Omit<ShopConfig, 'id' | 'settings'> & { settings?: ShopSettings }>;
+}
+
+/**
+ * Hono variables set by shopAuth(): the authenticated shop, or null in open mode
+ * (plus the request id set app-wide by hono/request-id)
+ */
+export type ShopEnv = {
+  Variables: RequestIdVariables & {
+    shop: ShopConfig | null;
+  };
+};
+
+function envNumber(name: string): number | undefined {
+  const value = process.env[name];
+  return value ? Number(value) : undefined;
+}
+
+// Defaults for every shop (and for open mode)
+const DEFAULT_LIMITS: ShopLimits = {
+  ipPerMinute: envNumber('RATE_LIMIT_IP_PER_MINUTE') ?? 60,
+  shopPerMinute: envNumber('RATE_LIMIT_SHOP_PER_MINUTE') ?? 600,
+  dailyGenerations: envNumber('QUOTA_DAILY_GENERATIONS'),
+  monthlyGenerations: envNumber('QUOTA_MONTHLY_GENERATIONS'),
+  dailyLlmTokens: envNumber('QUOTA_DAILY_LLM_TOKENS'),
+  monthlyLlmTokens: envNumber('QUOTA_MONTHLY_LLM_TOKENS'),
+  monthlyBudgetUsd: envNumber('MONTHLY_BUDGET_USD'),
+};
+
+function normalizeOrigin(origin: string): string {
+  return origin.trim().toLowerCase().replace(/\/$/, '');
+}
+
+function loadShops(): Map<string, ShopConfig> {
+  // A broken registry must not fall back to open mode: loadConfigFile throws unless the file is missing
+  const config = loadConfigFile<ShopsConfig>(process.env.SHOPS_CONFIG || 'shops.json', { shops: {} });
+  if (!config.shops || typeof config.shops !== 'object' || Array.isArray(config.shops)) {
+    throw new Error('Shop registry needs a "shops" object');
+  }
+  const byKey = new Map<string, ShopConfig>();
+
+  for (const [id, shop] of Object.entries(config.shops)) {
+    if (!shop.publishableKey) {
+      throw new Error(`Shop "${id}" has no publishableKey`);
+    }
+    if (byKey.has(shop.publishableKey)) {
+      throw new Error(`Shop "${id}" reuses the publishableKey of "${byKey.get(shop.publishableKey)!.id}"`);
+    }
+    byKey.set(shop.publishableKey, {
+      id: id.toLowerCase(),
+      publishableKey: shop.publishableKey,
+      origins: (shop.origins || []).map(normalizeOrigin),
+      settings: shop.settings || {},
+    });
+  }
+
+  return byKey;
+}
+
+const shopsByKey = loadShops();
+const shopsById = new Map([...shopsByKey.values()].map(shop => [shop.id, shop]));
+const allowedOrigins = new Set([...shopsByKey.values()].flatMap(shop => shop.origins));
+
+if (shopsByKey.size === 0) {
+  logger.warn('No shops configured, API is open to any origin (set up config/shops.json for production)');
+} else {
+  logger.info(`${shopsByKey.size} shop(s) registered`);
+}
+
+/**
+ * Open mode: without a registry every request is accepted (local development)
+ */
+export function isOpenMode(): boolean {
+  return shopsByKey.size === 0;
+}
+
+export function getShopById(id: string | undefined): ShopConfig | null {
+  return id ? shopsById.get(id.toLowerCase()) || null : null;
+}
+
+/**
+ * Effective limits for a shop: its own overrides on top of the defaults
+ */
+export function getShopLimits(id: string | undefined): ShopLimits {
+  return { ...DEFAULT_LIMITS, ...getShopById(id)?.settings.limits };
+}
+
+/**
+ * Whether forceGenerate from the storefront is honored (always in open mode)
+ */
+export function canForceGenerate(shop: ShopConfig | null): boolean {
+  return isOpenMode() || shop?.settings.allowForceGenerate === true;
+}
+
+const REVIEW_REQUIRED = process.env.REVIEW_REQUIRED === 'true';
+
+/**
+ * Whether generations for this shop wait for admin approval before going live
+ */
+export function isReviewRequired(shopId: string | undefined): boolean {
+  return getShopById(shopId)?.settings.reviewRequired ?? REVIEW_REQUIRED;
+}
+
+/**
+ * CORS origin callback: echo registered storefront origins, reject everything else
+ */
+export function resolveCorsOrigin(origin: string): string | null {
+  if (isOpenMode()) return '*';
+  return allowedOrigins.has(normalizeOrigin(origin)) ? origin : null;
+}
+
+function findShopByKey(key: string | undefined): ShopConfig | null {
+  if (!key) return null;
+  for (const [candidate, shop] of shopsByKey) {
+    // Constant-time compare so keys cannot be guessed byte by byte
+    if (tokensEqual(key, candidate)) {
+      return shop;
+    }
+  }
+  return null;
+}
+
+function getShopKey(c: Context): string | undefined {
+  return c.req.header('X-Shop-Key') || c.req.query('key') || undefined;
+}
+
+/**
+ * Require a valid publishable key and a storefront origin allowed for that shop
+ *
+ * Requests without an Origin header (server-side tools) only need the key.
+ * Sets c.get('shop'); in open mode it is null and every request passes.
+ */
+export const shopAuth = () => createMiddleware<ShopEnv>(async (c, next) => {
+  if (isOpenMode()) {
+    c.set('shop', null);
+    return next();
+  }
+
+  const shop = findShopByKey(getShopKey(c));
+  if (!shop) {
+    return sendError(c, new ApiError('INVALID_SHOP_KEY', 'Invalid or missing shop key', 401));
+  }
+
+  const origin = c.req.header('Origin');
+  if (origin && !shop.origins.includes(normalizeOrigin(origin))) {
+    logger.warn('Origin not allowed', { requestId: c.get('requestId'), origin, shop: shop.id });
+    return sendError(c, new ApiError('ORIGIN_NOT_ALLOWED', 'Origin not allowed for this shop', 403));
+  }
+
+  c.set('shop', shop);
+  return next();
+});
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directory for locally persisted service data (caches, ledgers, registries)
+ * Defaults to ./data relative to the working directory
+ */
+export function getDataDir(): string {
+  return process.env.DATA_DIR || path.join(process.cwd(), 'data');
+}
+
+/**
+ * Resolve a file name inside the data directory (absolute paths are kept as-is)
+ */
+export function resolveDataPath(fileName: string): string {
+  return path.isAbsolute(fileName) ? fileName : path.join(getDataDir(), fileName);
+}
+
+/**
+ * Read and parse a JSON file synchronously, returning fallback only when the file does not exist
+ *
+ * Unreadable or malformed files throw: silently starting from the fallback would
+ * drop persisted data, or open up the service when it is a config file.
+ */
+export function readJsonFile<T>(filePath: string, fallback: T): T {
+  let raw: string;
+  try {
+    raw = fs.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${filePath}: ${(error as Error).message}`, { cause: error });
+  }
+
+  try {
+    return JSON.parse(raw) as T;
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${(error as Error).message}`, { cause: error });
+  }
+}
+
+// Last queued write per file: writes to the same file run one after another
+const writeQueues = new Map<string, Promise<void>>();
+let tmpCounter = 0;
+
+/**
+ * Write a file through a temp file + rename, so readers never see it half-written
+ */
+export async function writeFileAtomically(filePath: string, data: string | Buffer): Promise<void> {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  // Unique per write, so a write never renames (or truncates) another one's temp file
+  const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves a half-written file
+ *
+ * The data is serialized immediately; writes to the same file are queued in call order.
+ */
+export function writeJsonFile(filePath: string, data: unknown): Promise<void> {
+  const json = JSON.stringify(data);
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const write = previous.catch(() => undefined).then(() => writeFileAtomically(filePath, json));
+
+  writeQueues.set(filePath, write);
+  write.catch(() => undefined).finally(() => {
+    if (writeQueues.get(filePath) === write) writeQueues.delete(filePath);
+  });
+  return write;
+}
+
+/**
+ * Debounced persistence of in-memory state to a JSON file
+ */
+export interface JsonFileWriter {
+  // Write the current state after the debounce delay (calls in between are merged)
+  schedule(): void;
+  // Write now if a write is scheduled, and wait for it
+  flush(): Promise<void>;
+}
+
+const writers = new Set<JsonFileWriter>();
+
+/**
+ * Persist the state returned by getData at most once per delayMs; a burst of
+ * changes results in a single write. Pending writes are flushed on shutdown
+ * (see flushJsonFiles).
+ */
+export function createJsonFileWriter(
+  filePath: string,
+  getData: () => unknown,
+  onError: (error: unknown) => void,
+  delayMs = 1000
+): JsonFileWriter {
+  let timer: NodeJS.Timeout | null = null;
+
+  const write = () => {
+    timer = null;
+    return writeJsonFile(filePath, getData()).catch(onError);
+  };
+
+  const writer: JsonFileWriter = {
+    schedule() {
+      if (timer) return;
+      timer = setTimeout(write, delayMs);
+      timer.unref();
+    },
+    async flush() {
+      if (timer) {
+        clearTimeout(timer);
+        await write();
+      }
+      await writeQueues.get(filePath)?.catch(() => undefined);
+    },
+  };
+  writers.add(writer);
+  return writer;
+}
+
+/**
+ * Write out every scheduled change (call before the process exits)
+ */
+export async function flushJsonFiles(): Promise<void> {
+  await Promise.all([...writers].map(writer => writer.flush()));
+}
@@ -0,0 +1,174 @@
+import type { StoreProfile } from '../types.js';
+import { loadConfigFile } from './config.js';
+import { getShopById } from './shops.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Profiles');
+
+/**
+ * config/store-profiles.json
+ */
+interface StoreProfilesConfig {
+  defaultProfile: string;
+  profiles: Record<string, Omit<StoreProfile, 'id'>>;
+}
+
+// Neutral profile used when no config file exists
+const GENERIC_PROFILE: StoreProfile = {
+  id: 'generic',
+  brandName: 'our store',
+  vertical: 'lifestyle products',
+  catalog: 'a curated range of lifestyle products',
+  audience: 'shoppers',
+  toneOfVoice: 'warm, friendly and confident tone',
+  vocabulary: {
+    label: 'audience',
+    patterns: [],
+  },
+  forbiddenTopics: [],
+  styleHints: {
+    instagram: 'aesthetic lifestyle, curated moments, warm emotional connection, shareable',
+    tiktok: 'dynamic playful energy, trendy vibes, fun authentic moments',
+    facebook: 'relatable everyday moments, heartwarming, trustworthy, community feeling',
+    google: 'clean professional product focus, credible brand, quality-focused, informative clarity',
+    pinterest: 'aspirational home aesthetic, beautifully styled spaces, dreamy inspiration',
+    direct: 'premium lifestyle brand, modern aesthetic, elegant yet approachable',
+  },
+  promptGuidance: {
+    product: [
+      '## OUTPUT FORMAT (follow this structure exactly)',
+      'Generate a prompt with these 3 sections:',
+      '',
+      '1. AUDIENCE ELEMENT:',
+      '   - Reflect the audience or theme found in the UTM parameters',
+      '   - Describe props or people that make the product feel relevant to them',
+      '',
+      '2. SCENE SETTING:',
+      '   - Environment that matches UTM campaign theme',
+      '   - Surface, background, props',
+      '   - Lighting and mood',
+      '',
+      '3. COMPOSITION:',
+      '   - Product as hero',
+      '   - Camera angle and framing',
+    ],
+    banner: [
+      'Let the UTM parameters decide the audience, mood and setting.',
+      '',
+      '## HERO IMAGE REQUIREMENTS',
+      '- Cinematic, wide format with breathing room for text overlays',
+      '- Genuine, candid moments, NOT generic stock photography',
+      '- Magazine-cover quality, premium lifestyle aesthetic',
+      '',
+      'Output a detailed, vivid hero image concept. Be specific about: subject, action, setting, lighting, emotional tone, composition, and color mood.',
+    ],
+    collection: [
+      '1. Create a lifestyle scene that represents the ENTIRE collection theme',
+      '2. Show multiple products or a curated arrangement that suggests variety',
+      '3. Maintain brand consistency with premium aesthetic',
+      "4. The image should tell a story about the collection's purpose",
+    ],
+    personalize: [],
+  },
+  fallbackScenes: {
+    product: {
+      morning: 'Product prominently displayed on natural wood surface, soft morning light, fresh airy home setting',
+      afternoon: 'Product hero shot on clean surface, bright natural lighting, premium lifestyle aesthetic',
+      evening: 'Product on textured fabric surface, warm golden hour glow through window, homey atmosphere',
+      night: 'Product elegantly lit on textured surface, warm ambient lighting, serene mood',
+    },
+    season: {
+      spring: 'fresh spring energy with blooming plants nearby',
+      summer: 'bright vibrant summer vibes',
+      autumn: 'warm cozy autumn tones',
+      winter: 'crisp elegant winter mood with cozy indoor comfort',
+    },
+    banner: {
+      morning: 'Bright modern living space in warm morning sunlight, fresh energetic start to the day, magazine-quality lifestyle shot',
+      afternoon: 'Airy space with natural window light, joyful dynamic energy, aspirational lifestyle',
+      evening: 'Golden hour glow streaming through window, cozy warm atmosphere, cinematic warmth',
+      night: 'Elegant home setting with soft ambient lighting, calm serene mood, premium comfort aesthetic',
+    },
+    collection: 'Elegant flat lay arrangement showcasing {title} collection, {season} {timeOfDay} lighting, premium lifestyle photography',
+  },
+  defaultCopy: {
+    copy: {
+      heroTitle: 'Discover Something You\'ll Love',
+      featuredTitle: 'Featured Products',
+      iwtTitle: 'Made for You',
+      iwtBody: 'Thoughtfully designed products for everyday life.',
+      vibeBarText: 'Curated Just for You',
+      trustItems: ['Quality Materials', 'Free Shipping', 'Easy Returns'],
+      promoBannerText: 'Free Shipping on Your First Order!',
+      socialProofItems: ['10,000+ Happy Customers', '500+ Five-Star Reviews', 'Loved Worldwide'],
+    },
+    vibeIcon: 'sparkles',
+    trustIcons: ['shield-check', 'truck', 'check-circle'],
+  },
+  copySegments: [],
+};
+
+/**
+ * Normalize a shop identifier ("https://My-Store.myshopify.com/" → "my-store.myshopify.com")
+ */
+export function normalizeShop(shop: string | undefined): string {
+  return (shop || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+}
+
+function loadProfiles(): { profiles: Map<string, StoreProfile>; byShop: Map<string, StoreProfile>; fallback: StoreProfile } {
+  const config = loadConfigFile<StoreProfilesConfig | null>(
+    process.env.STORE_PROFILES_CONFIG || 'store-profiles.json',
+    null
+  );
+
+  const profiles = new Map<string, StoreProfile>();
+  const byShop = new Map<string, StoreProfile>();
+
+  if (!config) {
+    profiles.set(GENERIC_PROFILE.id, GENERIC_PROFILE);
+    return { profiles, byShop, fallback: GENERIC_PROFILE };
+  }
+
+  for (const [id, profile] of Object.entries(config.profiles)) {
+    const loaded: StoreProfile = { ...profile, id };
+    // Invalid patterns would otherwise throw on every request
+    for (const pattern of loaded.vocabulary.patterns) new RegExp(pattern, 'gi');
+    for (const segment of loaded.copySegments) new RegExp(segment.match, 'i');
+
+    profiles.set(id, loaded);
+    for (const shop of loaded.shops || []) {
+      byShop.set(normalizeShop(shop), loaded);
+    }
+  }
+
+  const fallback = profiles.get(config.defaultProfile);
+  if (!fallback) {
+    throw new Error(`Store profile config: defaultProfile "${config.defaultProfile}" is not defined`);
+  }
+
+  return { profiles, byShop, fallback };
+}
+
+const registry = loadProfiles();
+
+/**
+ * Store profile for a shop: the shop registry setting wins, then the profile's
+ * own shop list, then the default profile
+ */
+export function getStoreProfile(shop?: string): StoreProfile {
+  const configured = getShopById(normalizeShop(shop))?.settings.profile;
+  if (configured) {
+    const profile = registry.profiles.get(configured);
+    if (profile) return profile;
+    logger.warn('Shop references unknown profile', { shop, profile: configured });
+  }
+  return registry.byShop.get(normalizeShop(shop)) || registry.fallback;
+}
+
+/**
+ * "Never mention" section appended to system prompts (empty when nothing is forbidden)
+ */
+export function formatForbiddenTopics(profile: StoreProfile): string {
+  if (profile.forbiddenTopics.length === 0) return '';
+  return `\n\n## FORBIDDEN TOPICS\nNever depict, mention or allude to: ${profile.forbiddenTopics.join(', ')}.`;
+}
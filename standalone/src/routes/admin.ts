@@ -0,0 +1,327 @@
+import { Hono, type Context } from 'hono';
+import type { RequestIdVariables } from 'hono/request-id';
+import type { ReviewStatus } from '../types.js';
+import { adminAuth } from '../lib/admin.js';
+import { ApiError, sendError, toApiError } from '../lib/errors.js';
+import { campaignInputSchema, parseBody, reviewDecisionSchema } from '../lib/schemas.js';
+import { getShopLimits } from '../lib/shops.js';
+import { getLedgerReport, LEDGER_GROUPS, type LedgerGroupBy } from '../services/ledger.js';
+import { getUsage, getUsageKey } from '../services/usage.js';
+import { listQuarantine, type QuarantineEntry } from '../services/moderation.js';
+import { EVENT_GROUPS, getEventReport, toEventReportCsv, type EventGroupBy } from '../services/events.js';
+import { createCampaign, deleteCampaign, findCampaign, getCampaign, listCampaigns, updateCampaign } from '../services/campaigns.js';
+import { decideReview, getReview, listReviews, type ReviewItem } from '../services/reviews.js';
+import { runGeneration } from '../services/generator.js';
+import { createJob } from '../services/jobs.js';
+import { createLogger } from '../lib/logger.js';
+
+const adminRouter = new Hono<{ Variables: RequestIdVariables }>();
+
+const logger = createLogger('Admin');
+
+adminRouter.use('*', adminAuth());
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error envelope for a failed request; unexpected errors are logged, clients only get a generic message
+ */
+function sendAdminError(c: Context<{ Variables: RequestIdVariables }>, error: unknown) {
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+        logger.error('Request failed', { requestId: c.get('requestId'), error });
+    }
+    return sendError(c, apiError);
+}
+
+/**
+ * GET /api/admin/usage?groupBy=day&from=2026-03-01&to=2026-03-31&shop=&campaign=
+ *
+ * Calls, tokens, cache hits, latency and estimated cost from the ledger,
+ * grouped by day, campaign, source (traffic source), shop, model or imageType.
+ */
+adminRouter.get('/usage', async (c) => {
+    const groupBy = (c.req.query('groupBy') || 'day') as LedgerGroupBy;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+
+    if (!LEDGER_GROUPS.includes(groupBy)) {
+        return sendError(c, new ApiError('INVALID_REQUEST', `groupBy must be one of: ${LEDGER_GROUPS.join(', ')}`));
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'from / to must be dates (YYYY-MM-DD)'));
+    }
+
+    try {
+        const report = await getLedgerReport({
+            groupBy,
+            from,
+            to,
+            shop: c.req.query('shop'),
+            campaign: c.req.query('campaign'),
+        });
+        return c.json({ success: true, ...report });
+    } catch (error) {
+        logger.error('Failed to build usage report', { requestId: c.get('requestId'), error });
+        return sendError(c, new ApiError('INTERNAL_ERROR', 'Failed to read ledger', 500));
+    }
+});
+
+/**
+ * GET /api/admin/performance?groupBy=source&from=2026-03-01&to=2026-03-31&shop=&campaign=&source=&format=csv
+ *
+ * Impressions, hovers, clicks, add-to-carts, click-through and add-to-cart rates
+ * from storefront events, grouped by day, source, campaign, theme, imageType, ai
+ * (AI image vs original), shop or variant. `format=csv` downloads the table.
+ */
+adminRouter.get('/performance', async (c) => {
+    const groupBy = (c.req.query('groupBy') || 'source') as EventGroupBy;
+    const from = c.req.query('from');
+    const to = c.req.query('to');
+    const format = c.req.query('format') || 'json';
+
+    if (!EVENT_GROUPS.includes(groupBy)) {
+        return sendError(c, new ApiError('INVALID_REQUEST', `groupBy must be one of: ${EVENT_GROUPS.join(', ')}`));
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'from / to must be dates (YYYY-MM-DD)'));
+    }
+    if (format !== 'json' && format !== 'csv') {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'format must be json or csv'));
+    }
+
+    try {
+        const report = await getEventReport({
+            groupBy,
+            from,
+            to,
+            shop: c.req.query('shop'),
+            campaign: c.req.query('campaign'),
+            source: c.req.query('source'),
+        });
+
+        if (format === 'csv') {
+            const range = [from, to].filter(Boolean).join('_');
+            return c.body(toEventReportCsv(report), 200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="performance-${groupBy}${range ? `-${range}` : ''}.csv"`,
+            });
+        }
+        return c.json({ success: true, ...report });
+    } catch (error) {
+        logger.error('Failed to build performance report', { requestId: c.get('requestId'), error });
+        return sendError(c, new ApiError('INTERNAL_ERROR', 'Failed to read events', 500));
+    }
+});
+
+/**
+ * GET /api/admin/usage/quota?shop=
+ *
+ * Current day / month counters of a shop next to its effective limits
+ */
+adminRouter.get('/usage/quota', (c) => {
+    const shop = c.req.query('shop');
+    return c.json({
+        success: true,
+        shop: getUsageKey(shop),
+        usage: getUsage(shop),
+        limits: getShopLimits(shop),
+    });
+});
+
+/**
+ * GET /api/admin/moderation?kind=image|copy&shop=&limit=50
+ *
+ * Quarantined images and copy (newest first) with the flags that matched
+ */
+adminRouter.get('/moderation', (c) => {
+    const kind = c.req.query('kind') as QuarantineEntry['kind'] | undefined;
+    const limit = parseInt(c.req.query('limit') || '50', 10);
+
+    if (kind && kind !== 'image' && kind !== 'copy') {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'kind must be image or copy'));
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'limit must be a positive integer'));
+    }
+
+    const items = listQuarantine({ kind, shop: c.req.query('shop') });
+    return c.json({ success: true, total: items.length, items: items.slice(0, limit) });
+});
+
+/**
+ * GET /api/admin/campaigns?shop=
+ *
+ * Registered campaigns (a shop's own plus the shared ones), newest first
+ */
+adminRouter.get('/campaigns', (c) => {
+    const campaigns = listCampaigns(c.req.query('shop'));
+    return c.json({ success: true, total: campaigns.length, campaigns });
+});
+
+/**
+ * GET /api/admin/campaigns/match?shop=&utmSource=&utmMedium=&utmCampaign=&utmContent=&utmTerm=
+ *
+ * Campaign a visitor with these UTM values would get right now (null when none)
+ */
+adminRouter.get('/campaigns/match', (c) => {
+    const campaign = findCampaign({
+        shop: c.req.query('shop'),
+        utmSource: c.req.query('utmSource'),
+        utmMedium: c.req.query('utmMedium'),
+        utmCampaign: c.req.query('utmCampaign'),
+        utmContent: c.req.query('utmContent'),
+        utmTerm: c.req.query('utmTerm'),
+    });
+    return c.json({ success: true, campaign });
+});
+
+adminRouter.get('/campaigns/:id', (c) => {
+    const campaign = getCampaign(c.req.param('id'));
+    if (!campaign) {
+        return sendError(c, new ApiError('NOT_FOUND', 'Campaign not found', 404));
+    }
+    return c.json({ success: true, campaign });
+});
+
+/**
+ * POST /api/admin/campaigns
+ *
+ * Register a campaign: UTM match rules, brief, pinned theme, pinned / excluded
+ * products, fixed copy and optional start / end dates
+ */
+adminRouter.post('/campaigns', async (c) => {
+    try {
+        const input = await parseBody(c, campaignInputSchema);
+        return c.json({ success: true, campaign: createCampaign(input) }, 201);
+    } catch (error) {
+        return sendAdminError(c, error);
+    }
+});
+
+/**
+ * PUT /api/admin/campaigns/:id
+ *
+ * Replace a campaign (same body as POST)
+ */
+adminRouter.put('/campaigns/:id', async (c) => {
+    try {
+        const input = await parseBody(c, campaignInputSchema);
+        const campaign = updateCampaign(c.req.param('id'), input);
+        if (!campaign) {
+            return sendError(c, new ApiError('NOT_FOUND', 'Campaign not found', 404));
+        }
+        return c.json({ success: true, campaign });
+    } catch (error) {
+        return sendAdminError(c, error);
+    }
+});
+
+adminRouter.delete('/campaigns/:id', (c) => {
+    if (!deleteCampaign(c.req.param('id'))) {
+        return sendError(c, new ApiError('NOT_FOUND', 'Campaign not found', 404));
+    }
+    return c.json({ success: true });
+});
+
+const REVIEW_STATUSES: ReviewStatus[] = ['pending', 'approved', 'rejected'];
+
+/**
+ * GET /api/admin/reviews?status=pending&shop=&limit=50
+ *
+ * Generations held for review (newest first) with their prompt, context and
+ * both images (original served meanwhile, generated one served once approved)
+ */
+adminRouter.get('/reviews', (c) => {
+    const status = c.req.query('status') as ReviewStatus | undefined;
+    const limit = parseInt(c.req.query('limit') || '50', 10);
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+        return sendError(c, new ApiError('INVALID_REQUEST', `status must be one of: ${REVIEW_STATUSES.join(', ')}`));
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'limit must be a positive integer'));
+    }
+
+    const items = listReviews({ status, shop: c.req.query('shop') });
+    return c.json({ success: true, total: items.length, items: items.slice(0, limit) });
+});
+
+/**
+ * Review item for a decision; superseded items can no longer change what is served
+ */
+function getDecidableReview(id: string): ReviewItem {
+    const item = getReview(id);
+    if (!item) {
+        throw new ApiError('NOT_FOUND', 'Review item not found', 404);
+    }
+    if (item.supersededBy) {
+        throw new ApiError('INVALID_REQUEST', `Review item was superseded by ${item.supersededBy}`, 409);
+    }
+    return item;
+}
+
+adminRouter.get('/reviews/:id', (c) => {
+    const item = getReview(c.req.param('id'));
+    if (!item) {
+        return sendError(c, new ApiError('NOT_FOUND', 'Review item not found', 404));
+    }
+    return c.json({ success: true, item });
+});
+
+/**
+ * POST /api/admin/reviews/:id/approve  { "note"?: "…" }
+ *
+ * Serve the generated image for this context from now on
+ */
+adminRouter.post('/reviews/:id/approve', async (c) => {
+    try {
+        const { note } = await parseBody(c, reviewDecisionSchema);
+        const item = decideReview(getDecidableReview(c.req.param('id')), 'approved', note);
+        return c.json({ success: true, item });
+    } catch (error) {
+        return sendAdminError(c, error);
+    }
+});
+
+/**
+ * POST /api/admin/reviews/:id/reject  { "note"?: "…" }
+ *
+ * Keep serving the original image for this context
+ */
+adminRouter.post('/reviews/:id/reject', async (c) => {
+    try {
+        const { note } = await parseBody(c, reviewDecisionSchema);
+        const item = decideReview(getDecidableReview(c.req.param('id')), 'rejected', note);
+        return c.json({ success: true, item });
+    } catch (error) {
+        return sendAdminError(c, error);
+    }
+});
+
+/**
+ * POST /api/admin/reviews/:id/regenerate  { "note"?: "…" }
+ *
+ * Reject the item and queue a new generation for the same request and context;
+ * the result comes back as a new pending item that supersedes this one
+ */
+adminRouter.post('/reviews/:id/regenerate', async (c) => {
+    const requestId = c.get('requestId');
+    try {
+        const { note } = await parseBody(c, reviewDecisionSchema);
+        const item = getDecidableReview(c.req.param('id'));
+
+        // Queued first: a full queue leaves the item pending instead of rejected with nothing to replace it
+        const request = { ...item.request, forceGenerate: true };
+        const context = { ...item.context, requestId };
+        const job = createJob(item.imageType, (hooks) => runGeneration(request, context, hooks), item.shop, requestId);
+        decideReview(item, 'rejected', note || 'Regeneration requested');
+        logger.info('Regeneration queued', { requestId, id: item.id, jobId: job.id });
+
+        return c.json({ success: true, item, jobId: job.id }, 202);
+    } catch (error) {
+        return sendAdminError(c, error);
+    }
+});
+
+export { adminRouter };
@@ -0,0 +1,45 @@
+import { Hono } from 'hono';
+import { shopAuth, type ShopEnv } from '../lib/shops.js';
+import { checkEventLimit, toLimitError } from '../lib/limits.js';
+import { sendError, toApiError } from '../lib/errors.js';
+import { eventsRequestSchema, parseBody } from '../lib/schemas.js';
+import { recordEvents } from '../services/events.js';
+import { createLogger } from '../lib/logger.js';
+
+const eventsRouter = new Hono<ShopEnv>();
+
+const logger = createLogger('Events');
+
+/**
+ * POST /api/events
+ *
+ * Batched storefront events from embed.js. Sent with navigator.sendBeacon, so
+ * the body arrives as text/plain and the shop key as ?key= (beacons cannot set headers).
+ */
+eventsRouter.post('/', shopAuth(), async (c) => {
+    try {
+        const body = await parseBody(c, eventsRequestSchema);
+
+        // The authenticated shop wins over whatever the client claims
+        const shop = c.get('shop');
+        if (shop) body.shop = shop.id;
+
+        const rejection = checkEventLimit(c, body.shop);
+        if (rejection) {
+            throw toLimitError(rejection);
+        }
+
+        recordEvents(body);
+        return c.body(null, 204);
+    } catch (error) {
+        const apiError = toApiError(error);
+        if (apiError.status >= 500) {
+            logger.error('Request failed', { requestId: c.get('requestId'), error });
+        } else {
+            logger.warn('Request rejected', { requestId: c.get('requestId'), code: apiError.code, reason: apiError.message });
+        }
+        return sendError(c, apiError);
+    }
+});
+
+export { eventsRouter };
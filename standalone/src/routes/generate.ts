@@ -1,133 +1,485 @@
-import { Hono } from 'hono';
-import type { GenerateRequest, GenerateResponse } from '../types.js';
-import { buildUserContext } from '../lib/context.js';
-import { generateScenePrompt } from '../services/openai.js';
-import { generateProductBackground } from '../services/fal.js';
-import { getCachedImage, setCachedImage, generateCacheKey } from '../services/cache.js';
+import { Hono, type Context } from 'hono';
+import { streamSSE } from 'hono/streaming';
+import type {
+    GenerateRequest,
+    GenerateResponse,
+    GenerateJobResponse,
+    GenerateBatchResponse,
+    GenerateBatchResult,
+    ImageVariants,
+    UserContext,
+} from '../types.js';
+import { buildUserContext, getItemContext } from '../lib/context.js';
+import { getCacheStats } from '../services/cache.js';
+import { createSharedPromptSource, findCachedGeneration, getCoalescingStats, runGeneration } from '../services/generator.js';
+import { buildSrcset, resolveImageUrl } from '../services/imageStore.js';
+import { createJob, getJob, getJobStats, isTerminal, onJobUpdate, runJob, waitForJob, type GenerationJob } from '../services/jobs.js';
+import { canForceGenerate, shopAuth, type ShopConfig, type ShopEnv } from '../lib/shops.js';
+import { checkLimits, getForwardedHeader, toLimitError } from '../lib/limits.js';
+import { ApiError, sendError, toApiError } from '../lib/errors.js';
+import { generateBatchItemSchema, generateBatchRequestSchema, generateRequestSchema, parseBody, toValidationError } from '../lib/schemas.js';
+import { validateImageUrl } from '../lib/imageUrls.js';
+import { assignExperiment } from '../lib/experiments.js';
+import { createLogger, type Logger } from '../lib/logger.js';
 
-const generateRouter = new Hono();
+const generateRouter = new Hono<ShopEnv>();
+
+const logger = createLogger('Generate');
+
+// Echoed when the request failed before a context could be built
+const UNKNOWN_CONTEXT: GenerateResponse['context'] = {
+    trafficSource: 'direct',
+    timeOfDay: 'afternoon',
+    season: 'summer',
+};
+
+// Hostname with an optional port
+const HOST_PATTERN = /^[a-z0-9.-]+(:\d+)?$/i;
+
+/**
+ * Public origin of this service as seen by the storefront
+ *
+ * PUBLIC_BASE_URL when set; otherwise the request's own host, with X-Forwarded-Proto / -Host
+ * honored only from a trusted proxy (TRUSTED_PROXY_COUNT) so callers cannot point image URLs elsewhere.
+ */
+function getRequestOrigin(c: Context<ShopEnv>): string {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+
+    const url = new URL(c.req.url);
+    const forwardedProto = getForwardedHeader(c, 'X-Forwarded-Proto');
+    const forwardedHost = getForwardedHeader(c, 'X-Forwarded-Host');
+    const proto = forwardedProto === 'http' || forwardedProto === 'https' ? forwardedProto : url.protocol.replace(':', '');
+    const host = forwardedHost && HOST_PATTERN.test(forwardedHost) ? forwardedHost : url.host;
+    return `${proto}://${host}`;
+}
+
+/**
+ * Image fields returned to clients: absolute URL plus responsive srcset per format
+ */
+function toImageFields(image: { imageUrl: string; variants?: ImageVariants }, origin: string) {
+    return {
+        imageUrl: resolveImageUrl(image.imageUrl, origin),
+        srcset: buildSrcset(image.variants, origin),
+        width: image.variants?.width,
+        height: image.variants?.height,
+    };
+}
+
+/**
+ * Job as returned to clients, with re-hosted image paths made absolute
+ */
+function serializeJob(job: GenerationJob, origin: string) {
+    if (!job.result) return job;
+    const { variants, ...result } = job.result;
+    return { ...job, result: { ...result, ...toImageFields(job.result, origin) } };
+}
+
+/**
+ * Whether the shop may generate this image type (per-shop setting)
+ */
+function isImageTypeAllowed(shop: ShopConfig | null, imageType: GenerateRequest['imageType']): boolean {
+    const allowed = shop?.settings.imageTypes;
+    return !allowed || allowed.includes(imageType || 'product');
+}
+
+function getImageTypeError(imageType: GenerateRequest['imageType']): ApiError {
+    return new ApiError('IMAGE_TYPE_NOT_ALLOWED', `Image type ${imageType || 'product'} is not enabled for this shop`, 403);
+}
+
+/**
+ * Log an error once: client mistakes as a warning, server / provider failures with the stack
+ */
+function logError(log: Logger, message: string, error: ApiError): void {
+    if (error.status >= 500) {
+        log.error(message, { error });
+    } else {
+        log.warn(message, { code: error.code, reason: error.message });
+    }
+}
+
+/**
+ * Look up a job visible to the requesting shop (other shops' jobs read as missing)
+ */
+function getShopJob(shop: ShopConfig | null, id: string): GenerationJob | null {
+    const job = getJob(id);
+    if (!job || (shop && job.shop !== shop.id)) return null;
+    return job;
+}
+
+/**
+ * Context summary echoed back to the client
+ */
+function toResponseContext(context: UserContext): GenerateResponse['context'] {
+    return {
+        trafficSource: context.trafficSource,
+        timeOfDay: context.timeOfDay,
+        season: context.season,
+        weather: context.weather?.condition,
+        campaign: context.utmCampaign,
+    };
+}
 
 /**
  * POST /api/generate
- * 
- * Generate an AI-powered product image with contextual background
+ *
+ * Generate an AI-powered product image with contextual background.
+ * With `async: true` the request returns a job id immediately (unless cached);
+ * follow it via GET /api/generate/jobs/:id or the SSE stream.
  */
-generateRouter.post('/', async (c) => {
+generateRouter.post('/', shopAuth(), async (c) => {
     const startTime = Date.now();
+    const requestId = c.get('requestId');
+    const log = logger.child({ requestId });
+    let responseContext = UNKNOWN_CONTEXT;
 
     try {
-        // Parse request body
-        const body = await c.req.json<GenerateRequest>();
+        const body = await parseBody(c, generateRequestSchema);
 
-        // Validate required fields
-        if (!body.imageUrl) {
-            return c.json<GenerateResponse>({
-                success: false,
-                error: 'imageUrl is required',
-                cached: false,
-                processingTime: Date.now() - startTime,
-                context: {
-                    trafficSource: 'direct',
-                    timeOfDay: 'afternoon',
-                    season: 'summer',
-                },
-            }, 400);
+        // The authenticated shop wins over whatever the client claims
+        const shop = c.get('shop');
+        if (shop) body.shop = shop.id;
+
+        // Cache bypass is a per-shop privilege (it turns every view into a paid generation)
+        if (body.forceGenerate && !canForceGenerate(shop)) {
+            log.warn('forceGenerate ignored', { shop: body.shop });
+            body.forceGenerate = false;
+        }
+
+        if (!isImageTypeAllowed(shop, body.imageType)) {
+            throw getImageTypeError(body.imageType);
         }
 
-        console.log('[Generate] Request received:', {
-            imageUrl: body.imageUrl.substring(0, 50) + '...',
+        // Allowlisted hosts only; the provider gets the URL as sent, cache keys use its normalized form
+        await validateImageUrl(body.imageUrl, shop);
+
+        log.info('Request received', {
+            shop: body.shop,
+            imageUrl: body.imageUrl,
+            imageType: body.imageType || 'product',
             utmSource: body.utmSource,
+            utmCampaign: body.utmCampaign,
+            referrer: body.referrer,
+            latitude: body.latitude,
+            longitude: body.longitude,
             forceGenerate: body.forceGenerate,
+            async: body.async,
         });
 
         // Build user context
-        const context = await buildUserContext(body);
+        const context = await buildUserContext(body, requestId);
+        responseContext = toResponseContext(context);
 
-        console.log('[Generate] Context built:', {
+        log.debug('Context built', {
             trafficSource: context.trafficSource,
             timeOfDay: context.timeOfDay,
             season: context.season,
             weather: context.weather?.condition,
         });
 
-        // Generate cache key
-        const cacheKey = generateCacheKey(body.imageUrl, context);
+        // Holdout / layout-only visitors keep the original image, even when one is cached
+        const experiment = assignExperiment(body.visitorId, body.shop) || undefined;
+        if (experiment && !experiment.images) {
+            return c.json<GenerateResponse>({
+                success: true,
+                cached: false,
+                processingTime: Date.now() - startTime,
+                experiment,
+                context: responseContext,
+            });
+        }
 
-        // Check cache (unless forceGenerate is true)
-        if (!body.forceGenerate) {
-            const cached = getCachedImage(cacheKey);
-            if (cached) {
-                console.log('[Generate] Cache hit!');
-                return c.json<GenerateResponse>({
-                    success: true,
-                    imageUrl: cached.imageUrl,
-                    prompt: cached.prompt,
-                    cached: true,
-                    processingTime: Date.now() - startTime,
-                    context: {
-                        trafficSource: context.trafficSource,
-                        timeOfDay: context.timeOfDay,
-                        season: context.season,
-                        weather: context.weather?.condition,
-                        campaign: context.utmCampaign,
-                    },
-                });
-            }
+        // Cache hits are answered inline (no job, no rate limit)
+        const cached = findCachedGeneration(body, context);
+        if (cached) {
+            log.info('Cache hit', { cacheKey: cached.cacheKey });
+            return c.json<GenerateResponse>({
+                success: true,
+                ...toImageFields(cached, getRequestOrigin(c)),
+                prompt: cached.prompt,
+                cached: true,
+                generationId: cached.cacheKey,
+                processingTime: Date.now() - startTime,
+                experiment,
+                context: toResponseContext(context),
+            });
         }
 
-        // Generate scene prompt using OpenAI
-        console.log('[Generate] Generating scene prompt...');
-        const scenePrompt = await generateScenePrompt(context);
-        console.log('[Generate] Scene prompt:', scenePrompt);
+        const rejection = checkLimits(c, body.shop, 'generation');
+        if (rejection) {
+            throw toLimitError(rejection);
+        }
 
-        // Generate image using fal.ai
-        console.log('[Generate] Generating image...');
-        const result = await generateProductBackground({
-            imageUrl: body.imageUrl,
-            prompt: scenePrompt,
-            imageType: body.imageType || 'product',
-        });
+        if (body.async) {
+            const job = createJob(body.imageType || 'product', (hooks) => runGeneration(body, context, hooks), body.shop, requestId);
+            log.info('Job queued', { jobId: job.id });
 
-        // Cache the result
-        setCachedImage(cacheKey, {
-            imageUrl: result.imageUrl,
-            prompt: scenePrompt,
-            createdAt: Date.now(),
-        });
+            return c.json<GenerateJobResponse>({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/generate/jobs/${job.id}`,
+                eventsUrl: `/api/generate/jobs/events?ids=${job.id}`,
+                experiment,
+            }, 202);
+        }
+
+        // Through the queue like async jobs, so GENERATION_CONCURRENCY caps every provider call
+        const result = await runJob(body.imageType || 'product', (hooks) => runGeneration(body, context, hooks), body.shop, requestId);
 
         const processingTime = Date.now() - startTime;
-        console.log(`[Generate] Complete in ${processingTime}ms`);
+        log.info('Complete', { processingTime, cached: result.cached });
 
         return c.json<GenerateResponse>({
             success: true,
-            imageUrl: result.imageUrl,
-            prompt: scenePrompt,
-            cached: false,
+            ...toImageFields(result, getRequestOrigin(c)),
+            prompt: result.prompt,
+            cached: result.cached,
+            generationId: result.cacheKey,
             processingTime,
-            context: {
-                trafficSource: context.trafficSource,
-                timeOfDay: context.timeOfDay,
-                season: context.season,
-                weather: context.weather?.condition,
-                campaign: context.utmCampaign,
-            },
+            experiment,
+            context: toResponseContext(context),
         });
 
     } catch (error) {
-        console.error('[Generate] Error:', error);
+        const apiError = toApiError(error);
+        logError(log, 'Generation failed', apiError);
 
-        return c.json<GenerateResponse>({
-            success: false,
-            error: error instanceof Error ? error.message : 'Unknown error',
+        return sendError(c, apiError, {
             cached: false,
             processingTime: Date.now() - startTime,
-            context: {
-                trafficSource: 'direct',
-                timeOfDay: 'afternoon',
-                season: 'summer',
-            },
-        }, 500);
+            context: responseContext,
+        });
+    }
+});
+
+/**
+ * POST /api/generate/batch
+ *
+ * Generate many images sharing one visitor context (e.g. a whole product grid).
+ * The context (incl. weather) is built once and banner-style scene prompts are
+ * shared. Returns per-item results in request order; with `async: true`
+ * uncached items come back as job ids instead.
+ */
+generateRouter.post('/batch', shopAuth(), async (c) => {
+    const startTime = Date.now();
+    const requestId = c.get('requestId');
+    const log = logger.child({ requestId });
+
+    try {
+        const body = await parseBody(c, generateBatchRequestSchema);
+        const { items, ...shared } = body;
+
+        const shop = c.get('shop');
+        if (shop) shared.shop = shop.id;
+        if (shared.forceGenerate && !canForceGenerate(shop)) {
+            log.warn('forceGenerate ignored', { shop: shared.shop });
+            shared.forceGenerate = false;
+        }
+
+        log.info('Batch received', {
+            shop: shared.shop,
+            items: items.length,
+            utmSource: shared.utmSource,
+            utmCampaign: shared.utmCampaign,
+            referrer: shared.referrer,
+            latitude: shared.latitude,
+            longitude: shared.longitude,
+            async: shared.async,
+        });
+
+        const origin = getRequestOrigin(c);
+
+        // One context (and one weather lookup) for the whole batch
+        const baseContext = await buildUserContext({ ...shared, imageUrl: '' }, requestId);
+        const getScenePrompt = createSharedPromptSource();
+
+        const experiment = assignExperiment(shared.visitorId, shared.shop) || undefined;
+        if (experiment && !experiment.images) {
+            return c.json<GenerateBatchResponse>({
+                success: true,
+                results: items.map((_, index) => ({ index, success: true, cached: false })),
+                processingTime: Date.now() - startTime,
+                experiment,
+                context: toResponseContext(baseContext),
+            });
+        }
+
+        const results = await Promise.all(items.map(async (rawItem, index): Promise<GenerateBatchResult> => {
+            // Items are validated one by one so a bad item only fails itself
+            const parsed = generateBatchItemSchema.safeParse(rawItem);
+            if (!parsed.success) {
+                const { code, message } = toValidationError(parsed.error);
+                return { index, success: false, cached: false, error: message, code };
+            }
+            const item = parsed.data;
+
+            if (!isImageTypeAllowed(shop, item.imageType)) {
+                const { code, message } = getImageTypeError(item.imageType);
+                return { index, success: false, cached: false, error: message, code };
+            }
+
+            try {
+                await validateImageUrl(item.imageUrl, shop);
+            } catch (error) {
+                const { code, message } = toApiError(error);
+                return { index, success: false, cached: false, error: message, code };
+            }
+
+            const request: GenerateRequest = { ...shared, ...item };
+            const context: UserContext = { ...baseContext, ...getItemContext(item) };
+
+            const cached = findCachedGeneration(request, context);
+            if (cached) {
+                const { imageUrl, srcset } = toImageFields(cached, origin);
+                return { index, success: true, imageUrl, srcset, prompt: cached.prompt, cached: true, generationId: cached.cacheKey };
+            }
+
+            const rejection = checkLimits(c, shared.shop, 'generation');
+            if (rejection) {
+                return {
+                    index,
+                    success: false,
+                    cached: false,
+                    error: rejection.error,
+                    code: rejection.code,
+                    retryAfter: rejection.retryAfter,
+                };
+            }
+
+            let job: GenerationJob;
+            try {
+                job = createJob(item.imageType || 'product', (hooks) => runGeneration(request, context, hooks, getScenePrompt), shared.shop, requestId);
+            } catch (error) {
+                const { code, message, extra } = toApiError(error);
+                return { index, success: false, cached: false, error: message, code, retryAfter: extra.retryAfter };
+            }
+
+            if (shared.async) {
+                return { index, success: true, cached: false, jobId: job.id };
+            }
+
+            const finished = await waitForJob(job);
+            if (finished.status !== 'done' || !finished.result) {
+                return {
+                    index,
+                    success: false,
+                    cached: false,
+                    error: finished.error || 'Generation failed',
+                    code: finished.errorCode || 'PROVIDER_ERROR',
+                };
+            }
+            const { imageUrl, srcset } = toImageFields(finished.result, origin);
+            return {
+                index,
+                success: true,
+                imageUrl,
+                srcset,
+                prompt: finished.result.prompt,
+                cached: finished.result.cached,
+                generationId: finished.result.generationId,
+            };
+        }));
+
+        const processingTime = Date.now() - startTime;
+        log.info('Batch complete', { items: items.length, processingTime });
+
+        return c.json<GenerateBatchResponse>({
+            success: true,
+            results,
+            processingTime,
+            experiment,
+            context: toResponseContext(baseContext),
+        }, shared.async ? 202 : 200);
+
+    } catch (error) {
+        const apiError = toApiError(error);
+        logError(log, 'Batch failed', apiError);
+
+        return sendError(c, apiError, {
+            results: [],
+            processingTime: Date.now() - startTime,
+        });
+    }
+});
+
+/**
+ * GET /api/generate/jobs/events?ids=a,b,c
+ *
+ * Server-sent events: one `job` event per status/progress change of the
+ * requested jobs. The stream closes once every job is done or failed.
+ */
+generateRouter.get('/jobs/events', shopAuth(), (c) => {
+    const shop = c.get('shop');
+    const ids = (c.req.query('ids') || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    if (ids.length === 0) {
+        return sendError(c, new ApiError('INVALID_REQUEST', 'ids query parameter is required'));
+    }
+
+    const origin = getRequestOrigin(c);
+
+    return streamSSE(c, async (stream) => {
+        const watched = new Set(ids);
+        const remaining = new Set<string>();
+        let finish: () => void = () => {};
+        const finished = new Promise<void>((resolve) => { finish = resolve; });
+
+        const send = (job: GenerationJob) => stream.writeSSE({
+            event: 'job',
+            id: `${job.id}:${job.updatedAt}`,
+            data: JSON.stringify(serializeJob(job, origin)),
+        });
+
+        // Current state first, unknown ids are reported as failed
+        for (const id of watched) {
+            const job = getShopJob(shop, id);
+            if (!job) {
+                await stream.writeSSE({
+                    event: 'job',
+                    data: JSON.stringify({ id, status: 'failed', error: 'Job not found', errorCode: 'JOB_NOT_FOUND' }),
+                });
+                continue;
+            }
+            await send(job);
+            if (!isTerminal(job.status)) remaining.add(id);
+        }
+
+        if (remaining.size === 0) return;
+
+        const unsubscribe = onJobUpdate((job) => {
+            if (!remaining.has(job.id)) return;
+            send(job).catch(() => finish());
+            if (isTerminal(job.status)) {
+                remaining.delete(job.id);
+                if (remaining.size === 0) finish();
+            }
+        });
+
+        stream.onAbort(() => finish());
+
+        // Keep proxies from closing an idle connection while fal.ai renders
+        const keepAlive = setInterval(() => {
+            stream.writeSSE({ event: 'ping', data: '' }).catch(() => finish());
+        }, 15000);
+
+        await finished;
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+});
+
+/**
+ * GET /api/generate/jobs/:id
+ * Poll a generation job
+ */
+generateRouter.get('/jobs/:id', shopAuth(), (c) => {
+    const job = getShopJob(c.get('shop'), c.req.param('id'));
+
+    if (!job) {
+        return sendError(c, new ApiError('JOB_NOT_FOUND', 'Job not found', 404));
     }
+
+    return c.json({ success: true, job: serializeJob(job, getRequestOrigin(c)) });
 });
 
 /**
@@ -137,9 +489,11 @@ generateRouter.post('/', async (c) => {
 generateRouter.get('/health', (c) => {
     return c.json({
         status: 'ok',
+        cache: getCacheStats(),
+        jobs: getJobStats(),
+        coalescing: getCoalescingStats(),
         timestamp: new Date().toISOString(),
     });
 });
 
 export { generateRouter };
-
@@ -0,0 +1,46 @@
+import { Hono } from 'hono';
+import type { RequestIdVariables } from 'hono/request-id';
+import { getImageStore, IMAGE_FILE_PATTERN } from '../services/imageStore.js';
+import { ApiError, sendError } from '../lib/errors.js';
+import { createLogger } from '../lib/logger.js';
+
+const imagesRouter = new Hono<{ Variables: RequestIdVariables }>();
+
+const logger = createLogger('Images');
+
+/**
+ * GET /images/:file
+ *
+ * Serve re-hosted generated images. Names are content hashes, so the bytes
+ * behind a URL never change and can be cached forever.
+ */
+imagesRouter.get('/:file', async (c) => {
+    const fileName = c.req.param('file');
+
+    if (!IMAGE_FILE_PATTERN.test(fileName)) {
+        return sendError(c, new ApiError('NOT_FOUND', 'Image not found', 404));
+    }
+
+    const etag = `"${fileName.split('.')[0]}"`;
+    if (c.req.header('If-None-Match') === etag) {
+        return c.body(null, 304);
+    }
+
+    try {
+        const image = await getImageStore().get(fileName);
+        if (!image) {
+            return sendError(c, new ApiError('NOT_FOUND', 'Image not found', 404));
+        }
+
+        return c.body(new Uint8Array(image.bytes), 200, {
+            'Content-Type': image.contentType,
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'ETag': etag,
+        });
+    } catch (error) {
+        logger.error('Failed to read image', { requestId: c.get('requestId'), fileName, error });
+        return sendError(c, new ApiError('INTERNAL_ERROR', 'Failed to read image', 500));
+    }
+});
+
+export { imagesRouter };
@@ -1,50 +1,48 @@
 import { Hono } from 'hono';
 import crypto from 'crypto';
 import OpenAI from 'openai';
+import type { Campaign, ErrorCode, ExperimentAssignment, ModerationFlag, PersonalizationCopy, PersonalizeProduct, PersonalizeRequest, StoreProfile } from '../types.js';
+import { formatForbiddenTopics, getStoreProfile } from '../lib/storeProfiles.js';
+import { shopAuth, type ShopEnv } from '../lib/shops.js';
+import { checkLimits, toLimitError } from '../lib/limits.js';
+import { sendError, toApiError } from '../lib/errors.js';
+import { parseBody, personalizeRequestSchema } from '../lib/schemas.js';
+import { detectTrafficSource } from '../lib/platforms.js';
+import { assignExperiment } from '../lib/experiments.js';
+import { recordCacheLookup } from '../lib/metrics.js';
+import { recordCacheHit, recordLlmCall, type LedgerScope } from '../services/ledger.js';
+import { isMockMode } from '../services/mock.js';
+import { moderateText, quarantineItem } from '../services/moderation.js';
+import { findCampaign, getCampaignVersion } from '../services/campaigns.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Personalize');
 
 // =====================
 // Types
 // =====================
 
-interface ProductInfo {
-    handle: string;
-    title: string;
-    tags: string[];
-}
-
-interface PersonalizeRequest {
-    utmSource?: string;
-    utmMedium?: string;
-    utmCampaign?: string;
-    utmContent?: string;
-    utmTerm?: string;
-    products?: ProductInfo[];
-}
-
-interface PersonalizationCopy {
-    heroTitle: string;
-    featuredTitle: string;
-    iwtTitle: string;
-    iwtBody: string;
-    vibeBarText: string;
-    trustItems: [string, string, string];
-    promoBannerText: string;
-    socialProofItems: [string, string, string];
-}
-
 interface PersonalizationConfig {
     theme: number; // 1-10
     productOrder: string[]; // ordered product handles
-    copy: PersonalizationCopy;
+    // Fields withheld by moderation are left out; embed.js keeps the theme's text for them
+    copy: Partial<PersonalizationCopy>;
     vibeIcon: string; // lucide icon name
     trustIcons: [string, string, string]; // lucide icon names
+    hiddenProducts?: string[]; // handles excluded by the campaign
 }
 
 interface PersonalizeResponse {
     success: boolean;
     cached: boolean;
     config?: PersonalizationConfig;
+    // Registered campaign that shaped the config
+    campaign?: { id: string; name: string };
+    // Experiment arm of the visitor; no config is returned when layout is off
+    experiment?: ExperimentAssignment;
     error?: string;
+    code?: ErrorCode;
+    retryAfter?: number;
     processingTime: number;
 }
 
@@ -60,8 +58,11 @@ interface CachedPersonalization {
 const personalizationCache = new Map<string, CachedPersonalization>();
 const CACHE_TTL = 2 * 60 * 60 * 1000;
 
-function getCacheKey(req: PersonalizeRequest): string {
+function getCacheKey(req: PersonalizeRequest, campaign: Campaign | null): string {
     const parts = [
+        // Partitioned per shop; different store profiles produce different copy
+        req.shop || '',
+        getStoreProfile(req.shop).id,
         req.utmSource || '',
         req.utmCampaign || '',
         req.utmContent || '',
@@ -69,6 +70,8 @@ function getCacheKey(req: PersonalizeRequest): string {
         req.utmTerm || '',
         // Include product handles in cache key so different product sets get different results
         (req.products || []).map(p => p.handle).sort().join(','),
+        // Edited campaigns take effect immediately
+        ...(campaign ? [getCampaignVersion(campaign)] : []),
     ].join('|');
     return crypto.createHash('md5').update(parts).digest('hex');
 }
@@ -114,7 +117,7 @@ function selectThemeByHash(req: PersonalizeRequest): number {
     const num = parseInt(hash.substring(0, 8), 16);
     const theme = (num % 9) + 1;
 
-    console.log('[Personalize] Theme hash:', { seed: seed.substring(0, 60), hash: hash.substring(0, 8), theme });
+    logger.debug('Theme hash', { seed: seed.substring(0, 60), hash: hash.substring(0, 8), theme });
     return theme;
 }
 
@@ -181,7 +184,12 @@ Best for: generic/direct traffic, unclear campaign intent, catch-all default, si
 // LLM Prompt
 // =====================
 
-const SYSTEM_PROMPT = `You are a landing page copy & product ordering engine for "The Pet Brand Kura", a pet e-commerce store selling beds, toys, treats, harnesses, and overall pet related items.
+function buildSystemPrompt(profile: StoreProfile): string {
+    const guidance = profile.promptGuidance.personalize.length > 0
+        ? `\nSTORE GUIDANCE:\n${profile.promptGuidance.personalize.join('\n')}\n`
+        : '';
+
+    return `You are a landing page copy & product ordering engine for "${profile.brandName}", a ${profile.vertical} e-commerce store selling ${profile.catalog}.
 
 Given UTM campaign parameters and the store's product catalog, you MUST:
 1. Order ALL products by relevance to the campaign
@@ -194,24 +202,24 @@ AVAILABLE ICONS (Lucide names):
 ${AVAILABLE_ICONS.join(', ')}
 
 COPY RULES:
-- All copy in English, warm/playful pet-lover tone
+- All copy in English, ${profile.toneOfVoice}, written for ${profile.audience}
 - heroTitle: punchy headline, max 8 words, reflects the campaign vibe
 - featuredTitle: product section heading, max 6 words
 - iwtTitle: "Image with Text" section heading, max 6 words
 - iwtBody: 1-2 sentences, warm and compelling, max 200 chars
 - vibeBarText: short tagline displayed below hero, max 60 chars
 - trustItems: exactly 3 items, max 4 words each
-- promoBannerText: promotional/urgency text for golden banner, max 60 chars. Write something compelling like "Free Shipping on Orders $40+" or "New Puppy? Get 15% Off Starter Kits!"
-- socialProofItems: exactly 3 social proof stats, max 25 chars each. E.g. "10,000+ Happy Pets", "500+ Five-Star Reviews", "Vet Approved"
+- promoBannerText: promotional/urgency text for golden banner, max 60 chars. Write something compelling like "${profile.defaultCopy.copy.promoBannerText}"
+- socialProofItems: exactly 3 social proof stats, max 25 chars each. E.g. ${profile.defaultCopy.copy.socialProofItems.map(item => `"${item}"`).join(', ')}
 
 PRODUCT ORDERING:
 - Return ALL product handles sorted by campaign relevance (most relevant first)
-- Think semantically: "active_dog_gear" → harnesses and toys first, beds last
-- Think about the audience: "new_puppy_parents" → starter essentials (bed, treats) first
+- Think semantically about the campaign keywords and the audience they describe
 
 ICON RULES:
 - vibeIcon + trustIcons: choose from available Lucide icon names above
-- Match icons to the campaign theme (e.g. heart for nurturing, zap for energetic)
+- Match icons to the campaign theme
+${guidance}${formatForbiddenTopics(profile)}
 
 Return ONLY valid JSON:
 {
@@ -226,11 +234,12 @@ Return ONLY valid JSON:
     "promoBannerText": "...",
     "socialProofItems": ["...", "...", "..."]
   },
-  "vibeIcon": "paw-print",
-  "trustIcons": ["shield-check", "truck", "leaf"]
+  "vibeIcon": "${profile.defaultCopy.vibeIcon}",
+  "trustIcons": [${profile.defaultCopy.trustIcons.map(icon => `"${icon}"`).join(', ')}]
 }`;
+}
 
-function buildUserPrompt(req: PersonalizeRequest): string {
+function buildUserPrompt(req: PersonalizeRequest, campaign: Campaign | null): string {
     const parts: string[] = [];
 
     // UTM info
@@ -244,11 +253,25 @@ function buildUserPrompt(req: PersonalizeRequest): string {
         parts.push('Direct visit with no UTM parameters');
     }
 
-    // Product catalog
-    if (req.products && req.products.length > 0) {
+    // Merchant-authored campaign: the brief outranks anything inferred from UTM values
+    if (campaign?.brief) {
+        parts.push('');
+        parts.push(`CAMPAIGN BRIEF (written by the merchant, follow it over anything inferred from UTM):\n${campaign.brief}`);
+    }
+    const fixedCopy = Object.entries(campaign?.copy || {}).filter(([, value]) => value !== undefined);
+    if (fixedCopy.length > 0) {
+        parts.push('');
+        parts.push('FIXED COPY (already written by the merchant, keep the rest of the copy consistent with it):');
+        fixedCopy.forEach(([key, value]) => parts.push(`${key}: ${JSON.stringify(value)}`));
+    }
+
+    // Product catalog (excluded products are never shown, so the model does not see them)
+    const excluded = new Set(campaign?.excludedProducts || []);
+    const products = (req.products || []).filter(p => !excluded.has(p.handle));
+    if (products.length > 0) {
         parts.push('');
         parts.push('PRODUCT CATALOG:');
-        req.products.forEach((p, i) => {
+        products.forEach((p, i) => {
             parts.push(`${i + 1}. handle="${p.handle}" title="${p.title}" tags=[${p.tags.join(', ')}]`);
         });
     }
@@ -256,21 +279,49 @@ function buildUserPrompt(req: PersonalizeRequest): string {
     return parts.join('\n');
 }
 
-async function callLLM(req: PersonalizeRequest): Promise<PersonalizationConfig> {
+function getLedgerScope(req: PersonalizeRequest): LedgerScope {
+    return {
+        shop: req.shop,
+        campaign: req.utmCampaign,
+        trafficSource: detectTrafficSource({ utmSource: req.utmSource, utmMedium: req.utmMedium, shop: req.shop }),
+    };
+}
+
+async function callLLM(req: PersonalizeRequest, campaign: Campaign | null, requestId?: string): Promise<PersonalizationConfig> {
+    // Offline mode: deterministic keyword-based config, no OpenAI call
+    if (isMockMode()) {
+        return buildModeratedFallbackConfig(req, requestId);
+    }
+
     const client = getClient();
+    const profile = getStoreProfile(req.shop);
 
     // Theme is selected by hash, not LLM
     const theme = selectThemeByHash(req);
 
-    const response = await client.chat.completions.create({
+    const startedAt = Date.now();
+    let response: OpenAI.Chat.Completions.ChatCompletion;
+    try {
+        response = await client.chat.completions.create({
+            model: 'gpt-4.1-mini',
+            temperature: 0.7,
+            max_tokens: 600,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: buildSystemPrompt(profile) },
+                { role: 'user', content: buildUserPrompt(req, campaign) },
+            ],
+        });
+    } catch (error) {
+        recordLlmCall(getLedgerScope(req), { operation: 'personalize', model: 'gpt-4.1-mini', latencyMs: Date.now() - startedAt, error });
+        throw error;
+    }
+
+    recordLlmCall(getLedgerScope(req), {
+        operation: 'personalize',
         model: 'gpt-4.1-mini',
-        temperature: 0.7,
-        max_tokens: 600,
-        response_format: { type: 'json_object' },
-        messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'user', content: buildUserPrompt(req) },
-        ],
+        usage: response.usage,
+        latencyMs: Date.now() - startedAt,
     });
 
     const content = response.choices[0]?.message?.content;
@@ -279,11 +330,48 @@ async function callLLM(req: PersonalizeRequest): Promise<PersonalizationConfig>
     }
 
     const parsed = JSON.parse(content);
-    return validateConfig(parsed, req.products || [], theme);
+    const config = validateConfig(parsed, req.products || [], profile, theme);
+
+    // Flagged copy is held for review; the store's own copy is served meanwhile
+    const check = await moderateText(getCopyFields(config.copy), 'copy', profile);
+    if (check.flagged) {
+        quarantineCopy(req, config.copy, check.flags, requestId);
+        config.copy = (await buildModeratedFallbackConfig(req, requestId)).copy;
+    }
+
+    return config;
 }
 
-function validateConfig(raw: any, products: ProductInfo[], theme: number = 10): PersonalizationConfig {
+function quarantineCopy(req: PersonalizeRequest, copy: Partial<PersonalizationCopy>, flags: ModerationFlag[], requestId?: string): void {
+    quarantineItem({
+        kind: 'copy',
+        shop: req.shop,
+        campaign: req.utmCampaign,
+        trafficSource: detectTrafficSource({ utmSource: req.utmSource, utmMedium: req.utmMedium, shop: req.shop }),
+        copy: getCopyFields(copy),
+        flags,
+        requestId,
+    });
+}
+
+/**
+ * Copy as flat text fields for moderation ("trustItems.0", ...)
+ */
+function getCopyFields(copy: Partial<PersonalizationCopy>): Record<string, string> {
+    const fields: Record<string, string> = {};
+    for (const [key, value] of Object.entries(copy)) {
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => { fields[`${key}.${i}`] = item; });
+        } else {
+            fields[key] = value;
+        }
+    }
+    return fields;
+}
+
+function validateConfig(raw: any, products: PersonalizeProduct[], profile: StoreProfile, theme: number = 10): PersonalizationConfig {
     const productHandles = products.map(p => p.handle);
+    const defaults = profile.defaultCopy;
 
     // Validate productOrder: must be valid handles
     let productOrder: string[] = [];
@@ -304,27 +392,49 @@ function validateConfig(raw: any, products: ProductInfo[], theme: number = 10):
         theme, // Determined by hash, not LLM
         productOrder,
         copy: {
-            heroTitle: typeof raw.copy?.heroTitle === 'string' ? raw.copy.heroTitle.slice(0, 60) : 'Pawsome Style for Your Fur Babies!',
-            featuredTitle: typeof raw.copy?.featuredTitle === 'string' ? raw.copy.featuredTitle.slice(0, 60) : 'Featured Products',
-            iwtTitle: typeof raw.copy?.iwtTitle === 'string' ? raw.copy.iwtTitle.slice(0, 50) : 'Stay Happy',
-            iwtBody: typeof raw.copy?.iwtBody === 'string' ? raw.copy.iwtBody.slice(0, 200) : 'Try our toy subscription so you can keep your fur baby happy and surprised!',
-            vibeBarText: typeof raw.copy?.vibeBarText === 'string' ? raw.copy.vibeBarText.slice(0, 80) : 'Curated Just for You',
+            heroTitle: typeof raw.copy?.heroTitle === 'string' ? raw.copy.heroTitle.slice(0, 60) : defaults.copy.heroTitle,
+            featuredTitle: typeof raw.copy?.featuredTitle === 'string' ? raw.copy.featuredTitle.slice(0, 60) : defaults.copy.featuredTitle,
+            iwtTitle: typeof raw.copy?.iwtTitle === 'string' ? raw.copy.iwtTitle.slice(0, 50) : defaults.copy.iwtTitle,
+            iwtBody: typeof raw.copy?.iwtBody === 'string' ? raw.copy.iwtBody.slice(0, 200) : defaults.copy.iwtBody,
+            vibeBarText: typeof raw.copy?.vibeBarText === 'string' ? raw.copy.vibeBarText.slice(0, 80) : defaults.copy.vibeBarText,
             trustItems: Array.isArray(raw.copy?.trustItems) && raw.copy.trustItems.length >= 3
                 ? [String(raw.copy.trustItems[0]).slice(0, 30), String(raw.copy.trustItems[1]).slice(0, 30), String(raw.copy.trustItems[2]).slice(0, 30)]
-                : ['Pet-Safe Materials', 'Free Shipping', '100% Natural'],
-            promoBannerText: typeof raw.copy?.promoBannerText === 'string' ? raw.copy.promoBannerText.slice(0, 80) : 'Free Shipping on Orders Over $40!',
+                : defaults.copy.trustItems,
+            promoBannerText: typeof raw.copy?.promoBannerText === 'string' ? raw.copy.promoBannerText.slice(0, 80) : defaults.copy.promoBannerText,
             socialProofItems: Array.isArray(raw.copy?.socialProofItems) && raw.copy.socialProofItems.length >= 3
                 ? [String(raw.copy.socialProofItems[0]).slice(0, 40), String(raw.copy.socialProofItems[1]).slice(0, 40), String(raw.copy.socialProofItems[2]).slice(0, 40)]
-                : ['10,000+ Happy Pets', '500+ Five-Star Reviews', 'Vet Approved'],
+                : defaults.copy.socialProofItems,
         },
-        vibeIcon: validIcon(raw.vibeIcon) ? raw.vibeIcon : 'paw-print',
+        vibeIcon: validIcon(raw.vibeIcon) ? raw.vibeIcon : defaults.vibeIcon,
         trustIcons: Array.isArray(raw.trustIcons) && raw.trustIcons.length >= 3
             ? [
-                validIcon(raw.trustIcons[0]) ? raw.trustIcons[0] : 'shield-check',
-                validIcon(raw.trustIcons[1]) ? raw.trustIcons[1] : 'truck',
-                validIcon(raw.trustIcons[2]) ? raw.trustIcons[2] : 'leaf',
+                validIcon(raw.trustIcons[0]) ? raw.trustIcons[0] : defaults.trustIcons[0],
+                validIcon(raw.trustIcons[1]) ? raw.trustIcons[1] : defaults.trustIcons[1],
+                validIcon(raw.trustIcons[2]) ? raw.trustIcons[2] : defaults.trustIcons[2],
             ]
-            : ['shield-check', 'truck', 'leaf'],
+            : defaults.trustIcons,
+    };
+}
+
+// =====================
+// Campaign overrides
+// =====================
+
+/**
+ * Apply a registered campaign on top of the model's (or the fallback) config:
+ * pinned theme, pinned products first, excluded products hidden, fixed copy as written
+ */
+function applyCampaign(config: PersonalizationConfig, campaign: Campaign): PersonalizationConfig {
+    const excluded = new Set(campaign.excludedProducts);
+    const pinned = campaign.pinnedProducts.filter(h => !excluded.has(h));
+    const fixedCopy = Object.fromEntries(Object.entries(campaign.copy).filter(([, value]) => value !== undefined));
+
+    return {
+        ...config,
+        theme: campaign.theme ?? config.theme,
+        productOrder: [...pinned, ...config.productOrder.filter(h => !excluded.has(h) && !pinned.includes(h))],
+        copy: { ...config.copy, ...fixedCopy },
+        hiddenProducts: campaign.excludedProducts.length > 0 ? [...campaign.excludedProducts] : undefined,
     };
 }
 
@@ -338,70 +448,65 @@ function buildFallbackConfig(req: PersonalizeRequest): PersonalizationConfig {
     const combined = campaign + ' ' + content;
     const productHandles = (req.products || []).map(p => p.handle);
     const theme = selectThemeByHash(req);
+    const profile = getStoreProfile(req.shop);
 
-    const isDog = /dog|puppy|pup|canine/.test(combined);
-    const isCat = /cat|kitten|kitty|feline/.test(combined);
-
-    if (isDog) {
-        // Sort dog-tagged products first
-        const sorted = sortHandlesByTags(req.products || [], ['dog']);
-        return {
-            theme,
-            productOrder: sorted,
-            copy: {
-                heroTitle: 'Pawsome Style for Your Pup!',
-                featuredTitle: 'Best Picks for Your Dog',
-                iwtTitle: 'Keep Your Pup Happy',
-                iwtBody: 'Try our toy subscription so you can keep your furry friend happy and surprised!',
-                vibeBarText: 'Curated for Dog Lovers',
-                trustItems: ['Vet Approved', 'Durable & Safe', '100% Natural'],
-                promoBannerText: 'Free Shipping on Dog Essentials!',
-                socialProofItems: ['10,000+ Happy Dogs', '500+ Five-Star Reviews', 'Vet Approved'],
-            },
-            vibeIcon: 'heart',
-            trustIcons: ['shield-check', 'award', 'leaf'],
-        };
-    }
+    // Keyword segments from the store profile (e.g. dog / cat), first match wins
+    const segment = profile.copySegments.find(s => new RegExp(s.match, 'i').test(combined));
 
-    if (isCat) {
-        const sorted = sortHandlesByTags(req.products || [], ['cat']);
+    if (segment) {
+        // Sort products tagged for the segment first
+        const sorted = sortHandlesByTags(req.products || [], segment.boostTags);
         return {
             theme,
             productOrder: sorted,
-            copy: {
-                heroTitle: 'Purrfect Style for Your Cat!',
-                featuredTitle: 'Purrfect Picks for Your Cat',
-                iwtTitle: 'Keep Your Cat Happy',
-                iwtBody: 'Try our toy subscription so you can keep your feline friend happy and surprised!',
-                vibeBarText: 'Curated for Cat Parents',
-                trustItems: ['Cat-Safe Materials', 'Purr-fect Quality', '100% Natural'],
-                promoBannerText: 'Free Shipping on Cat Essentials!',
-                socialProofItems: ['10,000+ Happy Cats', '500+ Five-Star Reviews', 'Vet Approved'],
-            },
-            vibeIcon: 'heart',
-            trustIcons: ['shield-check', 'star', 'leaf'],
+            copy: { ...segment.copy },
+            vibeIcon: segment.vibeIcon,
+            trustIcons: [...segment.trustIcons],
         };
     }
 
     return {
         theme,
         productOrder: productHandles,
-        copy: {
-            heroTitle: 'Pawsome Style for Your Fur Babies!',
-            featuredTitle: 'Featured Products',
-            iwtTitle: 'Stay Happy',
-            iwtBody: 'Try our toy subscription so you can keep your fur baby happy and surprised!',
-            vibeBarText: 'Welcome to The Pet Brand',
-            trustItems: ['Pet-Safe Materials', 'Free Shipping', '100% Natural'],
-            promoBannerText: 'Free Shipping on Orders Over $40!',
-            socialProofItems: ['10,000+ Happy Pets', '500+ Five-Star Reviews', 'Vet Approved'],
-        },
-        vibeIcon: 'paw-print',
-        trustIcons: ['shield-check', 'truck', 'leaf'],
+        copy: { ...profile.defaultCopy.copy },
+        vibeIcon: profile.defaultCopy.vibeIcon,
+        trustIcons: [...profile.defaultCopy.trustIcons],
     };
 }
 
-function sortHandlesByTags(products: ProductInfo[], boostTags: string[]): string[] {
+// Moderation verdicts on store copy by its text; the copy only changes with the profile file
+const fallbackCopyChecks = new Map<string, Promise<Partial<PersonalizationCopy>>>();
+
+/**
+ * Store copy is checked like model copy: flagged fields are quarantined once and left out
+ */
+function moderateFallbackCopy(req: PersonalizeRequest, copy: Partial<PersonalizationCopy>, requestId?: string): Promise<Partial<PersonalizationCopy>> {
+    const key = `${req.shop || ''}\n${JSON.stringify(copy)}`;
+    let check = fallbackCopyChecks.get(key);
+    if (!check) {
+        check = moderateText(getCopyFields(copy), 'copy', getStoreProfile(req.shop)).then((result) => {
+            if (!result.flagged) return copy;
+            quarantineCopy(req, copy, result.flags, requestId);
+
+            // Fields are "heroTitle" or "trustItems.1"; a provider flag names no copy field and withholds all of it
+            const flagged = new Set(result.flags.map(flag => flag.field.split('.')[0]));
+            const withheld = Object.keys(copy).filter(field => flagged.has(field));
+            logger.warn('Store copy flagged by moderation, withholding it', { requestId, shop: req.shop, fields: withheld });
+            if (withheld.length < flagged.size) return {};
+            return Object.fromEntries(Object.entries(copy).filter(([field]) => !flagged.has(field)));
+        });
+        fallbackCopyChecks.set(key, check);
+        check.catch(() => fallbackCopyChecks.delete(key));
+    }
+    return check;
+}
+
+async function buildModeratedFallbackConfig(req: PersonalizeRequest, requestId?: string): Promise<PersonalizationConfig> {
+    const config = buildFallbackConfig(req);
+    return { ...config, copy: await moderateFallbackCopy(req, config.copy, requestId) };
+}
+
+function sortHandlesByTags(products: PersonalizeProduct[], boostTags: string[]): string[] {
     const scored = products.map(p => {
         let score = 0;
         boostTags.forEach(bt => {
@@ -417,37 +522,70 @@ function sortHandlesByTags(products: ProductInfo[], boostTags: string[]): string
 // Router
 // =====================
 
-const personalizeRouter = new Hono();
+const personalizeRouter = new Hono<ShopEnv>();
 
-personalizeRouter.post('/', async (c) => {
+personalizeRouter.post('/', shopAuth(), async (c) => {
     const startTime = Date.now();
+    const requestId = c.get('requestId');
+    const log = logger.child({ requestId });
 
     try {
-        const body = await c.req.json<PersonalizeRequest>();
+        const body = await parseBody(c, personalizeRequestSchema);
+
+        // The authenticated shop wins over whatever the client claims
+        const shop = c.get('shop');
+        if (shop) body.shop = shop.id;
 
-        if (!body.utmSource && !body.utmCampaign && !body.utmContent) {
+        // Holdout / images-only visitors keep the theme's own layout
+        const experiment = assignExperiment(body.visitorId, body.shop) || undefined;
+        if (experiment && !experiment.layout) {
             return c.json<PersonalizeResponse>({
                 success: true,
                 cached: false,
-                config: buildFallbackConfig(body),
+                experiment,
                 processingTime: Date.now() - startTime,
             });
         }
 
-        const cacheKey = getCacheKey(body);
+        // Before the no-UTM shortcut: registered campaigns may match on utm_medium / utm_term alone
+        const campaign = findCampaign(body);
+
+        if (!campaign && !body.utmSource && !body.utmCampaign && !body.utmContent) {
+            return c.json<PersonalizeResponse>({
+                success: true,
+                cached: false,
+                config: await buildModeratedFallbackConfig(body, requestId),
+                experiment,
+                processingTime: Date.now() - startTime,
+            });
+        }
+
+        const campaignRef = campaign ? { id: campaign.id, name: campaign.name } : undefined;
+        const cacheKey = getCacheKey(body, campaign);
 
         const cached = getCached(cacheKey);
+        recordCacheLookup('personalize', Boolean(cached));
         if (cached) {
-            console.log('[Personalize] Cache hit:', cacheKey.slice(0, 8));
+            log.info('Cache hit', { cacheKey: cacheKey.slice(0, 8) });
+            recordCacheHit(getLedgerScope(body), 'personalize');
             return c.json<PersonalizeResponse>({
                 success: true,
                 cached: true,
                 config: cached,
+                campaign: campaignRef,
+                experiment,
                 processingTime: Date.now() - startTime,
             });
         }
 
-        console.log('[Personalize] Calling LLM for:', {
+        const rejection = checkLimits(c, body.shop, 'llm');
+        if (rejection) {
+            throw toLimitError(rejection);
+        }
+
+        log.info('Calling LLM', {
+            shop: body.shop,
+            campaignId: campaign?.id,
             source: body.utmSource,
             campaign: body.utmCampaign,
             content: body.utmContent,
@@ -456,15 +594,18 @@ personalizeRouter.post('/', async (c) => {
 
         let config: PersonalizationConfig;
         try {
-            config = await callLLM(body);
-            console.log('[Personalize] LLM response:', {
+            config = await callLLM(body, campaign, requestId);
+            log.info('LLM response', {
                 theme: config.theme,
                 productOrder: config.productOrder,
                 heroTitle: config.copy.heroTitle,
             });
         } catch (llmError) {
-            console.error('[Personalize] LLM error, using fallback:', llmError);
-            config = buildFallbackConfig(body);
+            log.error('LLM error, using fallback', { error: llmError });
+            config = await buildModeratedFallbackConfig(body, requestId);
+        }
+        if (campaign) {
+            config = applyCampaign(config, campaign);
         }
 
         setCache(cacheKey, config);
@@ -473,16 +614,21 @@ personalizeRouter.post('/', async (c) => {
             success: true,
             cached: false,
             config,
+            campaign: campaignRef,
+            experiment,
             processingTime: Date.now() - startTime,
         });
     } catch (error) {
-        console.error('[Personalize] Error:', error);
-        return c.json<PersonalizeResponse>({
-            success: false,
-            error: error instanceof Error ? error.message : 'Unknown error',
+        const apiError = toApiError(error);
+        if (apiError.status >= 500) {
+            log.error('Request failed', { error });
+        } else {
+            log.warn('Request rejected', { code: apiError.code, reason: apiError.message });
+        }
+        return sendError(c, apiError, {
             cached: false,
             processingTime: Date.now() - startTime,
-        }, 500);
+        });
     }
 });
 
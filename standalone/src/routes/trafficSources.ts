@@ -0,0 +1,19 @@
+import { Hono } from 'hono';
+import { shopAuth, type ShopEnv } from '../lib/shops.js';
+import { getTrafficSourceRules } from '../lib/platforms.js';
+
+const trafficSourcesRouter = new Hono<ShopEnv>();
+
+/**
+ * GET /api/traffic-sources
+ *
+ * Detection rules (utm_source aliases, utm_medium patterns, referrer domains)
+ * used by embed.js to decide whether a visit gets AI visuals, including the
+ * requesting shop's overrides
+ */
+trafficSourcesRouter.get('/', shopAuth(), (c) => {
+    c.header('Cache-Control', 'private, max-age=300');
+    return c.json({ success: true, sources: getTrafficSourceRules(c.get('shop')?.id) });
+});
+
+export { trafficSourcesRouter };
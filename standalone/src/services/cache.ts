@@ -1,28 +1,173 @@
 import crypto from 'crypto';
 import type { CachedImage, UserContext } from '../types.js';
+import { createJsonFileWriter, readJsonFile, resolveDataPath, type JsonFileWriter } from '../lib/storage.js';
+import { getStoreProfile } from '../lib/storeProfiles.js';
+import { envPositiveInt } from '../lib/env.js';
+import { normalizeImageUrl } from '../lib/imageUrls.js';
+import { getCampaignVersion } from './campaigns.js';
+import { gauge } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Cache');
+
+/**
+ * Storage backend for generated images
+ *
+ * Backends keep entries in least-recently-used order and evict from the
+ * front once maxEntries is exceeded. TTL is enforced by the cache functions
+ * below, so backends never need to know about expiry.
+ */
+export interface ImageCacheStore {
+  readonly name: string;
+  get(key: string): CachedImage | undefined;
+  set(key: string, value: CachedImage): void;
+  delete(key: string): void;
+  clear(): void;
+  size(): number;
+  entries(): IterableIterator<[string, CachedImage]>;
+}
 
 /**
- * In-memory cache for generated images
- * Simple Map-based cache for MVP
+ * Process-local LRU store (Map keeps insertion order, re-inserting on read moves to the end)
  */
-const imageCache = new Map<string, CachedImage>();
+export class MemoryCacheStore implements ImageCacheStore {
+  readonly name: string = 'memory';
+  protected readonly map = new Map<string, CachedImage>();
+
+  constructor(protected readonly maxEntries: number) {}
 
-// Cache TTL: 1 hour
-const CACHE_TTL = 60 * 60 * 1000;
+  get(key: string): CachedImage | undefined {
+    const value = this.map.get(key);
+    if (value) {
+      this.map.delete(key);
+      this.map.set(key, value);
+    }
+    return value;
+  }
+
+  set(key: string, value: CachedImage): void {
+    this.map.delete(key);
+    this.map.set(key, value);
+
+    while (this.map.size > this.maxEntries) {
+      const oldestKey = this.map.keys().next().value as string;
+      this.map.delete(oldestKey);
+    }
+  }
+
+  delete(key: string): void {
+    this.map.delete(key);
+  }
+
+  clear(): void {
+    this.map.clear();
+  }
+
+  size(): number {
+    return this.map.size;
+  }
+
+  entries(): IterableIterator<[string, CachedImage]> {
+    return this.map.entries();
+  }
+}
+
+/**
+ * Durable LRU store backed by a JSON file
+ *
+ * Loaded once at startup, writes are debounced so a burst of generations
+ * results in a single flush. Survives restarts and redeploys as long as the
+ * data directory is on a persistent volume.
+ */
+export class FileCacheStore extends MemoryCacheStore {
+  readonly name = 'file';
+  private readonly writer: JsonFileWriter;
+
+  constructor(filePath: string, maxEntries: number, ttl: number) {
+    super(maxEntries);
+    this.writer = createJsonFileWriter(filePath, () => Array.from(this.map.entries()), (error) => {
+      logger.error('Failed to persist image cache', { error });
+    });
+
+    // The cache can always be rebuilt, so a damaged file only costs its entries
+    let saved: Array<[string, CachedImage]> = [];
+    try {
+      saved = readJsonFile<Array<[string, CachedImage]>>(filePath, []);
+    } catch (error) {
+      logger.error('Failed to load image cache, starting empty', { filePath, error });
+    }
+    const now = Date.now();
+    for (const [key, value] of saved) {
+      if (now - value.createdAt <= ttl) {
+        super.set(key, value);
+      }
+    }
+    logger.info('Loaded', { entries: this.map.size, filePath });
+  }
+
+  // Reads only reorder entries in memory; the LRU order is saved with the next change
+  set(key: string, value: CachedImage): void {
+    super.set(key, value);
+    this.writer.schedule();
+  }
+
+  delete(key: string): void {
+    super.delete(key);
+    this.writer.schedule();
+  }
+
+  clear(): void {
+    super.clear();
+    this.writer.schedule();
+  }
+}
+
+// Cache TTL: IMAGE_CACHE_TTL_SECONDS, default 1 hour
+const CACHE_TTL = envPositiveInt('IMAGE_CACHE_TTL_SECONDS', 3600) * 1000;
+
+// Maximum number of entries before LRU eviction
+const CACHE_MAX_ENTRIES = envPositiveInt('IMAGE_CACHE_MAX_ENTRIES', 1000);
+
+/**
+ * Create the store selected by IMAGE_CACHE_BACKEND (memory | file)
+ */
+function createStore(): ImageCacheStore {
+  const backend = process.env.IMAGE_CACHE_BACKEND || 'memory';
+
+  if (backend === 'file') {
+    const filePath = resolveDataPath(process.env.IMAGE_CACHE_FILE || 'image-cache.json');
+    return new FileCacheStore(filePath, CACHE_MAX_ENTRIES, CACHE_TTL);
+  }
+
+  if (backend !== 'memory') {
+    logger.warn(`Unknown IMAGE_CACHE_BACKEND "${backend}", falling back to memory`);
+  }
+  return new MemoryCacheStore(CACHE_MAX_ENTRIES);
+}
+
+const imageCache: ImageCacheStore = createStore();
+
+gauge('image_cache_entries', 'Generated images in the cache', () => imageCache.size());
 
 /**
  * Generate a hash key from context parameters
  */
 export function generateCacheKey(imageUrl: string, context: UserContext): string {
   const cacheableContext = {
-    img: imageUrl,
+    // Every size of a Shopify image shares one entry
+    img: normalizeImageUrl(imageUrl),
+    // Partitioned per shop; prompts also differ per store profile
+    shop: context.shop || '',
+    profile: getStoreProfile(context.shop).id,
     src: context.trafficSource,
     time: context.timeOfDay,
     season: context.season,
     weather: context.weather?.condition || '',
     campaign: context.utmCampaign || '',
+    // Only present for registered campaigns, so other keys stay as they were
+    ...(context.campaign && { brief: getCampaignVersion(context.campaign) }),
   };
-  
+
   const jsonStr = JSON.stringify(cacheableContext);
   return crypto.createHash('md5').update(jsonStr).digest('hex');
 }
@@ -32,36 +177,25 @@ export function generateCacheKey(imageUrl: string, context: UserContext): string
  */
 export function getCachedImage(cacheKey: string): CachedImage | null {
   const cached = imageCache.get(cacheKey);
-  
+
   if (!cached) {
     return null;
   }
-  
+
   // Check if expired
   if (Date.now() - cached.createdAt > CACHE_TTL) {
     imageCache.delete(cacheKey);
     return null;
   }
-  
+
   return cached;
 }
 
 /**
- * Store generated image in cache
+ * Store generated image in cache (the backend evicts least-recently-used entries)
  */
 export function setCachedImage(cacheKey: string, image: CachedImage): void {
   imageCache.set(cacheKey, image);
-  
-  // Simple cleanup: remove oldest entries if cache gets too large
-  if (imageCache.size > 1000) {
-    const entries = Array.from(imageCache.entries());
-    entries.sort((a, b) => a[1].createdAt - b[1].createdAt);
-    
-    // Remove oldest 100 entries
-    for (let i = 0; i < 100; i++) {
-      imageCache.delete(entries[i][0]);
-    }
-  }
 }
 
 /**
@@ -74,21 +208,25 @@ export function clearCache(): void {
 /**
  * Get cache stats
  */
-export function getCacheStats(): { size: number; oldestEntry: number | null } {
-  if (imageCache.size === 0) {
-    return { size: 0, oldestEntry: null };
-  }
-  
-  let oldest = Date.now();
-  for (const entry of imageCache.values()) {
-    if (entry.createdAt < oldest) {
+export function getCacheStats(): {
+  backend: string;
+  size: number;
+  maxEntries: number;
+  ttlSeconds: number;
+  oldestEntry: number | null;
+} {
+  let oldest: number | null = null;
+  for (const [, entry] of imageCache.entries()) {
+    if (oldest === null || entry.createdAt < oldest) {
       oldest = entry.createdAt;
     }
   }
-  
+
   return {
-    size: imageCache.size,
+    backend: imageCache.name,
+    size: imageCache.size(),
+    maxEntries: CACHE_MAX_ENTRIES,
+    ttlSeconds: CACHE_TTL / 1000,
     oldestEntry: oldest,
   };
 }
-
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import type { Campaign, CampaignInput, CampaignMatch } from '../types.js';
+import { createJsonFileWriter, readJsonFile, resolveDataPath } from '../lib/storage.js';
+import { normalizeShop } from '../lib/storeProfiles.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Campaigns');
+
+const CAMPAIGNS_FILE = resolveDataPath(process.env.CAMPAIGNS_FILE || 'campaigns.json');
+
+const campaigns: Campaign[] = readJsonFile<Campaign[]>(CAMPAIGNS_FILE, []);
+
+const MATCH_FIELDS: Array<keyof CampaignMatch> = ['utmSource', 'utmMedium', 'utmCampaign', 'utmContent', 'utmTerm'];
+
+const writer = createJsonFileWriter(CAMPAIGNS_FILE, () => campaigns, (error) => {
+  logger.error('Failed to persist campaigns', { error });
+});
+
+function matchesValue(pattern: string, value: string | undefined): boolean {
+  if (!value) return false;
+  const expected = pattern.toLowerCase();
+  const actual = value.trim().toLowerCase();
+  return expected.endsWith('*') ? actual.startsWith(expected.slice(0, -1)) : actual === expected;
+}
+
+function isActive(campaign: Campaign, shop: string, now: number): boolean {
+  if (!campaign.enabled) return false;
+  if (campaign.startAt && Date.parse(campaign.startAt) > now) return false;
+  if (campaign.endAt && Date.parse(campaign.endAt) <= now) return false;
+  return !campaign.shop || normalizeShop(campaign.shop) === shop;
+}
+
+/**
+ * Active campaign for a visitor's UTM values, or null
+ *
+ * Every field of a campaign's match must hit. When several campaigns match,
+ * the one with the most match fields wins, then the shop-specific one, then
+ * the most recently edited.
+ */
+export function findCampaign(utm: CampaignMatch & { shop?: string }): Campaign | null {
+  const shop = normalizeShop(utm.shop);
+  const now = Date.now();
+  let best: { campaign: Campaign; score: number } | null = null;
+
+  for (const campaign of campaigns) {
+    if (!isActive(campaign, shop, now)) continue;
+
+    const fields = MATCH_FIELDS.filter(field => campaign.match[field]);
+    if (!fields.every(field => matchesValue(campaign.match[field]!, utm[field]))) continue;
+
+    const score = fields.length * 2 + (campaign.shop ? 1 : 0);
+    if (!best || score > best.score || (score === best.score && campaign.updatedAt > best.campaign.updatedAt)) {
+      best = { campaign, score };
+    }
+  }
+
+  return best?.campaign || null;
+}
+
+/**
+ * Registered campaigns (optionally one shop's plus the shared ones), newest first
+ */
+export function listCampaigns(shop?: string): Campaign[] {
+  const normalized = normalizeShop(shop);
+  return campaigns
+    .filter(campaign => !shop || !campaign.shop || normalizeShop(campaign.shop) === normalized)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getCampaign(id: string): Campaign | null {
+  return campaigns.find(campaign => campaign.id === id) || null;
+}
+
+export function createCampaign(input: CampaignInput): Campaign {
+  const now = new Date().toISOString();
+  const campaign: Campaign = { ...input, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+  campaigns.push(campaign);
+  writer.schedule();
+  logger.info('Campaign created', { id: campaign.id, name: campaign.name, shop: campaign.shop });
+  return campaign;
+}
+
+/**
+ * Replace a campaign's fields; returns null when it does not exist
+ */
+export function updateCampaign(id: string, input: CampaignInput): Campaign | null {
+  const index = campaigns.findIndex(campaign => campaign.id === id);
+  if (index === -1) return null;
+
+  const campaign: Campaign = { ...input, id, createdAt: campaigns[index].createdAt, updatedAt: new Date().toISOString() };
+  campaigns[index] = campaign;
+  writer.schedule();
+  logger.info('Campaign updated', { id, name: campaign.name, shop: campaign.shop });
+  return campaign;
+}
+
+export function deleteCampaign(id: string): boolean {
+  const index = campaigns.findIndex(campaign => campaign.id === id);
+  if (index === -1) return false;
+
+  campaigns.splice(index, 1);
+  writer.schedule();
+  logger.info('Campaign deleted', { id });
+  return true;
+}
+
+/**
+ * Version tag of a campaign for cache keys, so edits take effect immediately
+ */
+export function getCampaignVersion(campaign: Campaign): string {
+  return `${campaign.id}@${campaign.updatedAt}`;
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import type { EventsRequest, StorefrontEvent } from '../types.js';
+import { resolveDataPath } from '../lib/storage.js';
+import { detectTrafficSource } from '../lib/platforms.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Events');
+
+const EVENTS_FILE = resolveDataPath(process.env.EVENTS_FILE || 'events.jsonl');
+
+// Client clocks drift; timestamps further off than this are not kept
+const MAX_CLOCK_SKEW = 24 * 60 * 60 * 1000;
+
+// Appends are chained so lines never interleave (same scheme as the ledger)
+let writeQueue: Promise<void> = fs.promises.mkdir(path.dirname(EVENTS_FILE), { recursive: true })
+  .then(() => undefined)
+  .catch((error) => logger.error('Failed to create data directory', { error }));
+
+function toClientTimestamp(timestamp: number | undefined, now: number): string | undefined {
+  if (!timestamp || Math.abs(now - timestamp) > MAX_CLOCK_SKEW) return undefined;
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Append a beacon's events, each stamped with the shared visitor context
+ */
+export function recordEvents(request: EventsRequest): number {
+  const now = Date.now();
+  const trafficSource = detectTrafficSource({
+    utmSource: request.utmSource,
+    utmMedium: request.utmMedium,
+    referrer: request.referrer,
+    shop: request.shop,
+  });
+
+  const lines = request.events.map((event) => {
+    const entry: StorefrontEvent = {
+      timestamp: new Date(now).toISOString(),
+      clientTimestamp: toClientTimestamp(event.timestamp, now),
+      type: event.type,
+      shop: request.shop || '',
+      visitorId: request.visitorId,
+      trafficSource,
+      campaign: request.utmCampaign || '',
+      utmSource: request.utmSource,
+      utmMedium: request.utmMedium,
+      utmContent: request.utmContent,
+      utmTerm: request.utmTerm,
+      theme: request.theme,
+      experiment: request.experiment,
+      variant: request.variant,
+      generationId: event.generationId,
+      imageType: event.imageType,
+      productHandle: event.productHandle,
+      // Only events tied to a generation can have shown an AI image
+      ai: event.ai ?? Boolean(event.generationId),
+      path: event.path,
+    };
+    return JSON.stringify(entry) + '\n';
+  });
+
+  writeQueue = writeQueue
+    .then(() => fs.promises.appendFile(EVENTS_FILE, lines.join(''), 'utf-8'))
+    .catch((error) => logger.error('Failed to write events', { error }));
+
+  return lines.length;
+}
+
+export type EventGroupBy = 'day' | 'source' | 'campaign' | 'theme' | 'imageType' | 'ai' | 'shop' | 'variant';
+
+export const EVENT_GROUPS: EventGroupBy[] = ['day', 'source', 'campaign', 'theme', 'imageType', 'ai', 'shop', 'variant'];
+
+export interface EventTotals {
+  impressions: number;
+  hovers: number;
+  clicks: number;
+  addToCarts: number;
+  modalCloses: number;
+  // clicks / impressions
+  ctr: number;
+  // addToCarts / impressions
+  addToCartRate: number;
+}
+
+export interface EventReport {
+  groupBy: EventGroupBy;
+  from?: string;
+  to?: string;
+  totals: EventTotals;
+  rows: Array<{ key: string } & EventTotals>;
+}
+
+function emptyTotals(): EventTotals {
+  return { impressions: 0, hovers: 0, clicks: 0, addToCarts: 0, modalCloses: 0, ctr: 0, addToCartRate: 0 };
+}
+
+function getGroupKey(event: StorefrontEvent, groupBy: EventGroupBy): string {
+  switch (groupBy) {
+    case 'day': return event.timestamp.slice(0, 10);
+    case 'source': return event.trafficSource || '(unknown)';
+    case 'campaign': return event.campaign || '(none)';
+    case 'theme': return event.theme ? String(event.theme) : '(none)';
+    case 'imageType': return event.imageType || '(none)';
+    case 'ai': return event.ai ? 'ai' : 'original';
+    case 'shop': return event.shop || '(none)';
+    case 'variant': return event.experiment ? `${event.experiment}/${event.variant}` : '(none)';
+  }
+}
+
+function add(target: EventTotals, event: StorefrontEvent): void {
+  switch (event.type) {
+    case 'image_shown': target.impressions++; break;
+    case 'image_hovered': target.hovers++; break;
+    case 'product_clicked': target.clicks++; break;
+    case 'add_to_cart': target.addToCarts++; break;
+    case 'modal_closed': target.modalCloses++; break;
+  }
+}
+
+function finish(target: EventTotals): EventTotals {
+  const rate = (count: number) => target.impressions ? Math.round(count / target.impressions * 10000) / 10000 : 0;
+  return { ...target, ctr: rate(target.clicks), addToCartRate: rate(target.addToCarts) };
+}
+
+/**
+ * Aggregate storefront events by day, traffic source, campaign, theme, image type,
+ * AI-vs-original, shop or experiment variant
+ *
+ * `from` / `to` are inclusive dates (YYYY-MM-DD, UTC) of receipt. Streams the
+ * file like the ledger report, so memory only grows with the number of groups.
+ */
+export async function getEventReport(options: {
+  groupBy: EventGroupBy;
+  from?: string;
+  to?: string;
+  shop?: string;
+  campaign?: string;
+  source?: string;
+}): Promise<EventReport> {
+  await writeQueue;
+
+  const totals = emptyTotals();
+  const groups = new Map<string, EventTotals>();
+
+  if (fs.existsSync(EVENTS_FILE)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(EVENTS_FILE, 'utf-8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let event: StorefrontEvent;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const day = event.timestamp.slice(0, 10);
+      if (options.from && day < options.from) continue;
+      if (options.to && day > options.to) continue;
+      if (options.shop && event.shop !== options.shop) continue;
+      if (options.campaign && event.campaign !== options.campaign) continue;
+      if (options.source && event.trafficSource !== options.source) continue;
+
+      const key = getGroupKey(event, options.groupBy);
+      let group = groups.get(key);
+      if (!group) {
+        group = emptyTotals();
+        groups.set(key, group);
+      }
+      add(group, event);
+      add(totals, event);
+    }
+  }
+
+  const sortByKey = options.groupBy === 'day' || options.groupBy === 'theme';
+  return {
+    groupBy: options.groupBy,
+    from: options.from,
+    to: options.to,
+    totals: finish(totals),
+    rows: [...groups.entries()]
+      .map(([key, group]) => ({ key, ...finish(group) }))
+      .sort((a, b) => sortByKey
+        ? a.key.localeCompare(b.key, undefined, { numeric: true })
+        : b.impressions - a.impressions),
+  };
+}
+
+const CSV_COLUMNS: Array<keyof EventTotals> = ['impressions', 'hovers', 'clicks', 'addToCarts', 'modalCloses', 'ctr', 'addToCartRate'];
+
+function csvField(value: string | number): string {
+  // Campaign names come from visitors' URLs; keep spreadsheets from evaluating them
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV: one row per group followed by a "(total)" row
+ */
+export function toEventReportCsv(report: EventReport): string {
+  const rows = [...report.rows, { key: '(total)', ...report.totals }];
+  return [
+    [report.groupBy, ...CSV_COLUMNS].join(','),
+    ...rows.map(row => [row.key, ...CSV_COLUMNS.map(column => row[column])].map(csvField).join(',')),
+  ].join('\n') + '\n';
+}
@@ -1,98 +1,136 @@
 import { fal } from '@fal-ai/client';
 import type { ImageType } from '../types.js';
+import type { GenerateImageInput, GenerateImageOutput, ImageProvider } from './imageProviders.js';
+import { ApiError } from '../lib/errors.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('fal.ai');
 
 // Configure fal client
 fal.config({
     credentials: process.env.FAL_KEY,
 });
 
-export interface GenerateImageInput {
-    imageUrl: string;
-    prompt: string;
-    imageType?: ImageType;
-}
-
-export interface GenerateImageOutput {
-    imageUrl: string;
-    requestId: string;
-}
-
 /**
- * 使用 nano-banana/edit 进行图片编辑（Gemini 2.5 Flash，更快）
- * 
+ * fal.ai 图片编辑 provider
+ *
  * 直接在原图基础上修改：
  * - 产品图：保留产品突出，改变氛围和设计
  * - Banner 图：基于现有图进行风格变化
- * 
- * 模型选择：
- * - nano-banana/edit: 更快，适合实时场景（当前使用）
- * - nano-banana-pro/edit: 更高质量，但较慢
+ *
+ * 可用模型（在 config/image-providers.json 中按图片类型路由）：
+ * - fal-ai/nano-banana/edit: 更快，适合实时场景
+ * - fal-ai/nano-banana-pro/edit: 更高质量，但较慢
  */
-export async function generateProductBackground(
-    input: GenerateImageInput
-): Promise<GenerateImageOutput> {
-    const imageType = input.imageType || 'product';
-
-    console.log(`[fal.ai] Starting ${imageType} edit with nano-banana (fast mode)...`);
-    console.log('[fal.ai] Image URL:', input.imageUrl);
-    console.log('[fal.ai] Prompt:', input.prompt);
-
-    // 构建完整的 prompt
-    const fullPrompt = buildPrompt(input.prompt, imageType);
-    console.log('[fal.ai] Full prompt:', fullPrompt);
-
-    try {
-        // 添加超时控制 (2分钟，因为更快了)
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('fal.ai request timeout after 2 minutes')), 120000);
-        });
-
-        let progressCount = 0;
-        const generatePromise = fal.subscribe('fal-ai/nano-banana/edit', {
-            input: {
-                prompt: fullPrompt,
-                image_urls: [input.imageUrl],
-                output_format: 'webp',  // WebP 格式，文件更小加载更快
-            },
-            logs: true,
-            onQueueUpdate: (update) => {
-                if (update.status === 'IN_PROGRESS') {
-                    progressCount++;
-                    // 每10次只打印一次，避免刷屏
-                    if (progressCount % 10 === 1) {
-                        console.log(`[fal.ai] Generation in progress... (${progressCount})`);
+export function createFalProvider(id: string, model: string, timeoutMs: number): ImageProvider {
+    return {
+        id,
+        model,
+        generate: async (input: GenerateImageInput): Promise<GenerateImageOutput> => {
+            const imageType = input.imageType || 'product';
+            const log = logger.child({ requestId: input.requestId, provider: id, model });
+
+            log.info('Starting edit', { imageType, imageUrl: input.imageUrl });
+
+            // 构建完整的 prompt
+            const fullPrompt = buildPrompt(input.prompt, imageType, input.keepPlacement);
+            log.debug('Full prompt', { prompt: fullPrompt });
+
+            // 只有排队中的任务能取消；已开始运行的任务会继续并计费，交给调用方记账
+            const abandon = (requestId: string | undefined, latencyMs: number) => {
+                const cancel = requestId
+                    ? fal.queue.cancel(model, { requestId })
+                    : Promise.reject(new Error('Request was not enqueued yet'));
+                cancel.then(
+                    () => log.info('Cancelled timed-out request', { falRequestId: requestId }),
+                    (error) => {
+                        log.warn('Could not cancel timed-out request, it may still be billed', { falRequestId: requestId, error });
+                        input.onAbandoned?.({ provider: id, model, requestId, latencyMs });
                     }
-                } else if (update.status === 'IN_QUEUE') {
-                    console.log('[fal.ai] Waiting in queue...');
+                );
+            };
+
+            let timer: NodeJS.Timeout | undefined;
+            let falRequestId: string | undefined;
+            const controller = new AbortController();
+            const startedAt = Date.now();
+
+            try {
+                // 超时控制（每个 provider 单独配置）：停止轮询并取消 fal 上的任务，避免回退模型时重复计费
+                const timeoutPromise = new Promise<never>((_, reject) => {
+                    timer = setTimeout(
+                        () => {
+                            // 先 reject，保证 race 拿到的是超时错误而不是中止错误
+                            reject(new ApiError(
+                                'PROVIDER_TIMEOUT',
+                                `fal.ai request timeout after ${Math.round(timeoutMs / 1000)}s (${model})`,
+                                504
+                            ));
+                            controller.abort();
+                            abandon(falRequestId, Date.now() - startedAt);
+                        },
+                        timeoutMs
+                    );
+                });
+
+                let progressCount = 0;
+                const generatePromise = fal.subscribe(model, {
+                    input: {
+                        prompt: fullPrompt,
+                        image_urls: [input.imageUrl],
+                        output_format: 'webp',  // WebP 格式，文件更小加载更快
+                    },
+                    logs: true,
+                    abortSignal: controller.signal,
+                    onEnqueue: (requestId) => {
+                        falRequestId = requestId;
+                    },
+                    onQueueUpdate: (update) => {
+                        if (update.status === 'IN_PROGRESS') {
+                            progressCount++;
+                            // 每10次只打印一次，避免刷屏
+                            if (progressCount % 10 === 1) {
+                                log.debug('Generation in progress', { updates: progressCount });
+                            }
+                            input.onProgress?.({ status: 'IN_PROGRESS', updates: progressCount });
+                        } else if (update.status === 'IN_QUEUE') {
+                            log.debug('Waiting in queue', { queuePosition: update.queue_position });
+                            input.onProgress?.({ status: 'IN_QUEUE', queuePosition: update.queue_position, updates: progressCount });
+                        }
+                    },
+                });
+
+                const result = await Promise.race([generatePromise, timeoutPromise]);
+
+                log.debug('Raw result', { falRequestId: result.requestId, data: result.data });
+
+                const data = result.data as {
+                    images?: Array<{ url: string }>;
+                    image?: { url: string };
+                };
+
+                const imageUrl = data.images?.[0]?.url || data.image?.url;
+
+                if (!imageUrl) {
+                    throw new Error(`No image generated from fal.ai (${model})`);
                 }
-            },
-        });
-
-        const result = await Promise.race([generatePromise, timeoutPromise]) as Awaited<typeof generatePromise>;
 
-        console.log('[fal.ai] Raw result:', JSON.stringify(result.data, null, 2));
-
-        const data = result.data as {
-            images?: Array<{ url: string }>;
-            image?: { url: string };
-        };
-
-        const imageUrl = data.images?.[0]?.url || data.image?.url;
-
-        if (!imageUrl) {
-            throw new Error('No image generated from fal.ai');
-        }
-
-        console.log('[fal.ai] Generation complete:', imageUrl);
-
-        return {
-            imageUrl,
-            requestId: result.requestId,
-        };
-    } catch (error) {
-        console.error('[fal.ai] Generation error:', error);
-        throw error;
-    }
+                log.info('Generation complete', { falRequestId: result.requestId, imageUrl });
+
+                return {
+                    imageUrl,
+                    requestId: result.requestId,
+                    provider: id,
+                    model,
+                };
+            } catch (error) {
+                log.error('Generation error', { error });
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+    };
 }
 
 /**
@@ -101,15 +139,22 @@ export async function generateProductBackground(
  * 产品图：可以自由设计场景，但产品本身不变
  * Banner / ImageWithText：基于原图风格创意重构
  * Collection：展示系列整体氛围，利用 collection 信息
+ *
+ * keepPlacement：保真校验在原位置比对商品，此时商品的位置、大小和角度都不能变
  */
-function buildPrompt(basePrompt: string, imageType: ImageType): string {
+function buildPrompt(basePrompt: string, imageType: ImageType, keepPlacement = false): string {
+    const placementRule = 'Keep the product at its exact position, size and angle in the frame';
+
     if (imageType === 'product') {
         // 产品图：产品细节不变，但可以自由设计展示场景
+        const freedomRule = keepPlacement
+            ? `- ${placementRule}\n- You CAN freely adjust: background, surroundings, lighting, scene around the product`
+            : '- You CAN freely adjust: product position, size, angle, background, scene composition';
         return `Transform into premium advertising product photoshot.
 
 PRODUCT RULES:
 - The product itself must stay unchanged (same appearance, color, texture, details)
-- You CAN freely adjust: product position, size, angle, background, scene composition
+${freedomRule}
 
 SCENE REQUIREMENTS:
 ${basePrompt}
@@ -120,7 +165,7 @@ QUALITY: High-end e-commerce photography, luxury brand aesthetic.`;
         return `Transform this collection hero image.
 
 REQUIREMENTS:
-- Maintain the products' visual identity
+- Maintain the products' visual identity${keepPlacement ? `\n- ${placementRule}` : ''}
 - Create a cohesive scene that represents the collection theme
 - ${basePrompt}
 
@@ -129,7 +174,7 @@ QUALITY: Premium lifestyle photography, curated collection aesthetic.`;
         // Banner 图：基于原图风格创意重构
         return `Reimagine this banner image with a fresh creative direction.
 Learn from the original: its visual style, color palette, brand aesthetic.
-Create a new version: ${basePrompt}
+Create a new version: ${basePrompt}${keepPlacement ? `\n${placementRule}.` : ''}
 Quality: Cinematic advertising photography, premium brand campaign aesthetic.`;
     }
 }
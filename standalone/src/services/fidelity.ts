@@ -0,0 +1,163 @@
+import sharp from 'sharp';
+import type { FidelityScore, ImageType } from '../types.js';
+import { downloadImage } from './imageStore.js';
+import { isMockMode } from './mock.js';
+import { envNumber } from '../lib/env.js';
+
+// Image types whose product must survive the edit (banners are redesigned on purpose)
+const FIDELITY_IMAGE_TYPES = (process.env.FIDELITY_IMAGE_TYPES ?? 'product')
+  .split(',').map(type => type.trim()).filter(Boolean);
+
+// Minimum score (0..1) for a generation to be served
+const FIDELITY_THRESHOLD = envNumber('FIDELITY_THRESHOLD', 0.6, { min: 0, max: 1 });
+
+// Extra generations tried after a failed check before serving the original image (0 disables retries)
+export const FIDELITY_MAX_RETRIES = envNumber('FIDELITY_MAX_RETRIES', 1, { min: 0, max: 5, integer: true });
+
+/**
+ * Product bounding box relative to the image size (0..1)
+ */
+interface Region {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+interface Fingerprint {
+  // 64-bit difference hash, one bit per neighbouring pixel pair
+  hash: boolean[];
+  // Normalized 4×4×4 RGB histogram
+  histogram: number[];
+}
+
+const FULL_IMAGE: Region = { left: 0, top: 0, width: 1, height: 1 };
+const REGION_MARGIN = 0.1;
+
+// Source product photos are reused by every generation of the same product
+const sourceCache = new Map<string, { region: Region; fingerprint: Fingerprint }>();
+const MAX_SOURCE_CACHE = 200;
+
+export function shouldCheckFidelity(imageType: ImageType | undefined): boolean {
+  // Mock renders never resemble the source, and offline mode cannot download it
+  return !isMockMode() && FIDELITY_IMAGE_TYPES.includes(imageType || 'product');
+}
+
+/**
+ * Locate the product in a source photo by trimming its (usually plain) background;
+ * lifestyle shots without a uniform background use the whole image
+ */
+async function findProductRegion(bytes: Buffer): Promise<Region> {
+  const { width = 0, height = 0 } = await sharp(bytes).metadata();
+  if (!width || !height) return FULL_IMAGE;
+
+  try {
+    const { info } = await sharp(bytes).trim({ threshold: 20 }).toBuffer({ resolveWithObject: true });
+    const left = -(info.trimOffsetLeft || 0);
+    const top = -(info.trimOffsetTop || 0);
+    // A tiny box means trim latched onto noise, not a product
+    if (info.width * info.height < width * height * 0.05) return FULL_IMAGE;
+    return { left: left / width, top: top / height, width: info.width / width, height: info.height / height };
+  } catch {
+    return FULL_IMAGE;
+  }
+}
+
+/**
+ * Region grown by REGION_MARGIN on every side, clamped to the image
+ */
+function withMargin(region: Region): Region {
+  const left = Math.max(0, region.left - region.width * REGION_MARGIN);
+  const top = Math.max(0, region.top - region.height * REGION_MARGIN);
+  const right = Math.min(1, region.left + region.width * (1 + REGION_MARGIN));
+  const bottom = Math.min(1, region.top + region.height * (1 + REGION_MARGIN));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+function extractRegion(bytes: Buffer, region: Region, width: number, height: number): sharp.Sharp {
+  const left = Math.min(width - 1, Math.round(region.left * width));
+  const top = Math.min(height - 1, Math.round(region.top * height));
+  return sharp(bytes).extract({
+    left,
+    top,
+    width: Math.max(1, Math.min(width - left, Math.round(region.width * width))),
+    height: Math.max(1, Math.min(height - top, Math.round(region.height * height))),
+  });
+}
+
+async function fingerprint(bytes: Buffer, region: Region): Promise<Fingerprint> {
+  const { width = 0, height = 0 } = await sharp(bytes).metadata();
+  if (!width || !height) throw new Error('Image has no dimensions');
+
+  // dHash: 9×8 grayscale, compare each pixel with its right neighbour; the margin
+  // puts the product's silhouette edges into the hash
+  const gray = await extractRegion(bytes, withMargin(region), width, height)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const hash: boolean[] = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash.push(gray[y * 9 + x] > gray[y * 9 + x + 1]);
+    }
+  }
+
+  // Coarse color histogram of the product itself catches recolors that keep the shape intact
+  const rgb = await extractRegion(bytes, region, width, height)
+    .removeAlpha()
+    .resize(32, 32, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const histogram = new Array(64).fill(0);
+  for (let i = 0; i < rgb.length; i += 3) {
+    histogram[(rgb[i] >> 6) * 16 + (rgb[i + 1] >> 6) * 4 + (rgb[i + 2] >> 6)]++;
+  }
+  const pixels = rgb.length / 3;
+
+  return { hash, histogram: histogram.map(count => count / pixels) };
+}
+
+async function getSourceFingerprint(sourceUrl: string): Promise<{ region: Region; fingerprint: Fingerprint }> {
+  const cached = sourceCache.get(sourceUrl);
+  if (cached) return cached;
+
+  const { bytes } = await downloadImage(sourceUrl);
+  const region = await findProductRegion(bytes);
+  const entry = { region, fingerprint: await fingerprint(bytes, region) };
+
+  if (sourceCache.size >= MAX_SOURCE_CACHE) {
+    sourceCache.delete(sourceCache.keys().next().value!);
+  }
+  sourceCache.set(sourceUrl, entry);
+  return entry;
+}
+
+/**
+ * Compare the product region of a generated image with its source photo
+ *
+ * The region found in the source is compared at the same relative position in
+ * the output (renders of checked types are told to keep the product in place, see
+ * keepPlacement); the score is the weaker of hash and color similarity.
+ */
+export async function checkFidelity(sourceUrl: string, output: Buffer): Promise<Omit<FidelityScore, 'attempts'>> {
+  const source = await getSourceFingerprint(sourceUrl);
+  const generated = await fingerprint(output, source.region);
+
+  // Unrelated images still agree on about half the bits, so rescale chance level to 0
+  const matchingBits = source.fingerprint.hash.filter((bit, i) => bit === generated.hash[i]).length;
+  const hashSimilarity = Math.max(0, matchingBits / source.fingerprint.hash.length * 2 - 1);
+  const colorSimilarity = source.fingerprint.histogram
+    .reduce((sum, share, i) => sum + Math.min(share, generated.histogram[i]), 0);
+
+  // The product fails if either its shape or its colors changed
+  const score = Math.min(hashSimilarity, colorSimilarity);
+  const round = (value: number) => Math.round(value * 1000) / 1000;
+
+  return {
+    score: round(score),
+    hashSimilarity: round(hashSimilarity),
+    colorSimilarity: round(colorSimilarity),
+    passed: score >= FIDELITY_THRESHOLD,
+  };
+}
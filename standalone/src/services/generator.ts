@@ -0,0 +1,395 @@
+import type { CachedImage, FidelityScore, GenerateRequest, ImageVariants, ModerationFlag, UserContext } from '../types.js';
+import { getStoreProfile } from '../lib/storeProfiles.js';
+import { generateScenePrompt } from './openai.js';
+import { generateProductBackground, type GenerateImageOutput, type GenerationProgress } from './imageProviders.js';
+import { getCachedImage, setCachedImage, generateCacheKey } from './cache.js';
+import { downloadImage, storeImage, type StoredImage } from './imageStore.js';
+import { checkFidelity, shouldCheckFidelity, FIDELITY_MAX_RETRIES } from './fidelity.js';
+import { moderateImage, moderateText, quarantineItem } from './moderation.js';
+import { submitForReview, restoreReviewedImage } from './reviews.js';
+import { getLedgerScope, recordCacheHit, recordImageCall } from './ledger.js';
+import { isReviewRequired } from '../lib/shops.js';
+import { counter, gauge, recordCacheLookup } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Generate');
+
+/**
+ * Pipeline stage reported while a generation runs
+ */
+export type GenerationStage = 'prompting' | 'rendering';
+
+export interface GenerationHooks {
+  onStage?: (stage: GenerationStage) => void;
+  onProgress?: (progress: GenerationProgress) => void;
+}
+
+/**
+ * Produces the scene prompt for a context (defaults to a fresh OpenAI call)
+ */
+export type ScenePromptSource = (context: UserContext) => Promise<string>;
+
+export interface GenerationResult {
+  imageUrl: string;
+  variants?: ImageVariants;
+  prompt: string;
+  cached: boolean;
+  cacheKey: string;
+  fidelity?: FidelityScore;
+}
+
+/**
+ * Look up a cached image for this request/context (honors forceGenerate)
+ *
+ * For shops under review, a context already reviewed keeps serving its decision after
+ * its cache entry is gone instead of being generated (and queued for review) again.
+ */
+export function findCachedGeneration(
+  request: GenerateRequest,
+  context: UserContext
+): GenerationResult | null {
+  if (request.forceGenerate) return null;
+
+  const cacheKey = generateCacheKey(request.imageUrl, context);
+  const cached = getCachedImage(cacheKey)
+    || (isReviewRequired(context.shop) ? restoreReviewedImage(cacheKey) : null);
+  if (!cached) return null;
+
+  recordCacheHit(getLedgerScope(context), 'image');
+  recordCacheLookup('image', true);
+
+  return {
+    imageUrl: cached.imageUrl,
+    variants: cached.variants,
+    prompt: cached.prompt,
+    cached: true,
+    cacheKey,
+    fidelity: cached.fidelity,
+  };
+}
+
+/**
+ * Which images can reuse the same scene prompt
+ *
+ * Banner-style prompts only depend on the visitor context, product and
+ * collection prompts also depend on the product / collection shown.
+ */
+function getScenePromptKey(context: UserContext): string {
+  const imageType = context.imageType || 'product';
+
+  if (imageType === 'banner' || imageType === 'imageWithText') {
+    return 'banner';
+  }
+  if (imageType === 'collection') {
+    return `collection|${context.collectionTitle || ''}`;
+  }
+  return `product|${context.productName || ''}|${context.productCategory || ''}`;
+}
+
+/**
+ * Memoize scene prompts across a batch sharing one visitor context
+ */
+export function createSharedPromptSource(): ScenePromptSource {
+  const prompts = new Map<string, Promise<string>>();
+
+  return (context) => {
+    const key = getScenePromptKey(context);
+    let prompt = prompts.get(key);
+    if (!prompt) {
+      prompt = generateScenePrompt(context);
+      prompts.set(key, prompt);
+    } else {
+      logger.debug('Reusing scene prompt', { requestId: context.requestId, key });
+    }
+    return prompt;
+  };
+}
+
+/**
+ * A generation currently running for a cache key
+ *
+ * Requests arriving while it runs subscribe to its hooks and share its result.
+ */
+interface InFlightGeneration {
+  promise: Promise<GenerationResult>;
+  subscribers: GenerationHooks[];
+  // Latest stage/progress, replayed to requests that join late
+  state: {
+    stage?: GenerationStage;
+    progress?: GenerationProgress;
+  };
+  // Request that started the generation (its id tags the shared logs)
+  requestId?: string;
+}
+
+const inFlight = new Map<string, InFlightGeneration>();
+
+const coalescingStats = {
+  started: 0,
+  coalesced: 0,
+};
+
+const generationsStarted = counter('generations_started_total', 'Generations started (cache misses not joining an in-flight generation)');
+const generationsCoalesced = counter('generations_coalesced_total', 'Requests that joined an in-flight generation of the same cache key');
+gauge('generations_in_flight', 'Generations currently running (prompt, render, checks)', () => inFlight.size);
+
+/**
+ * Full generation pipeline: cache → scene prompt (OpenAI) → prompt moderation → image edit (provider chain)
+ * → fidelity check → image moderation → review hold (when the shop requires it) → cache
+ *
+ * Concurrent requests for the same cache key share one pending generation.
+ */
+export async function runGeneration(
+  request: GenerateRequest,
+  context: UserContext,
+  hooks: GenerationHooks = {},
+  getScenePrompt: ScenePromptSource = generateScenePrompt
+): Promise<GenerationResult> {
+  const cached = findCachedGeneration(request, context);
+  if (cached) {
+    logger.info('Cache hit', { requestId: context.requestId, cacheKey: cached.cacheKey });
+    return cached;
+  }
+  // Counted here rather than in findCachedGeneration: routes look up the cache before queueing too
+  if (!request.forceGenerate) recordCacheLookup('image', false);
+
+  const cacheKey = generateCacheKey(request.imageUrl, context);
+
+  const existing = inFlight.get(cacheKey);
+  if (existing) {
+    coalescingStats.coalesced++;
+    generationsCoalesced.inc();
+    logger.info('Joining in-flight generation', {
+      requestId: context.requestId,
+      cacheKey,
+      // Logs of the shared generation carry the first request's id
+      ownerRequestId: existing.requestId,
+      waiting: existing.subscribers.length,
+    });
+
+    // Replay where the shared generation currently is, then follow along
+    if (existing.state.stage) hooks.onStage?.(existing.state.stage);
+    if (existing.state.progress) hooks.onProgress?.(existing.state.progress);
+    existing.subscribers.push(hooks);
+
+    return existing.promise;
+  }
+
+  const subscribers: GenerationHooks[] = [hooks];
+  const state: InFlightGeneration['state'] = {};
+  const sharedHooks: GenerationHooks = {
+    onStage: (stage) => {
+      state.stage = stage;
+      subscribers.forEach(subscriber => subscriber.onStage?.(stage));
+    },
+    onProgress: (progress) => {
+      state.progress = progress;
+      subscribers.forEach(subscriber => subscriber.onProgress?.(progress));
+    },
+  };
+
+  coalescingStats.started++;
+  generationsStarted.inc();
+  const promise = generate(request, context, cacheKey, sharedHooks, getScenePrompt)
+    .finally(() => inFlight.delete(cacheKey));
+  inFlight.set(cacheKey, { promise, subscribers, state, requestId: context.requestId });
+
+  return promise;
+}
+
+/**
+ * One render through the provider chain, recorded in the ledger
+ */
+async function renderImage(
+  request: GenerateRequest,
+  context: UserContext,
+  scenePrompt: string,
+  hooks: GenerationHooks
+): Promise<GenerateImageOutput> {
+  const startedAt = Date.now();
+  let result: GenerateImageOutput;
+  try {
+    result = await generateProductBackground({
+      imageUrl: request.imageUrl,
+      prompt: scenePrompt,
+      imageType: request.imageType || 'product',
+      keepPlacement: shouldCheckFidelity(request.imageType),
+      requestId: context.requestId,
+      onProgress: hooks.onProgress,
+      onAbandoned: (call) => recordImageCall(getLedgerScope(context), {
+        ...call,
+        error: 'Timed out, not cancelled upstream',
+        abandoned: true,
+      }),
+    });
+  } catch (error) {
+    recordImageCall(getLedgerScope(context), { latencyMs: Date.now() - startedAt, error });
+    throw error;
+  }
+  recordImageCall(getLedgerScope(context), {
+    model: result.model,
+    provider: result.provider,
+    requestId: result.requestId,
+    latencyMs: Date.now() - startedAt,
+  });
+  return result;
+}
+
+async function generate(
+  request: GenerateRequest,
+  context: UserContext,
+  cacheKey: string,
+  hooks: GenerationHooks,
+  getScenePrompt: ScenePromptSource
+): Promise<GenerationResult> {
+  const log = logger.child({ requestId: context.requestId, cacheKey });
+
+  // Generate scene prompt using OpenAI
+  log.info('Generating scene prompt', { imageType: context.imageType || 'product', trafficSource: context.trafficSource });
+  hooks.onStage?.('prompting');
+  const scenePrompt = await getScenePrompt(context);
+  log.debug('Scene prompt ready', { prompt: scenePrompt });
+
+  // A prompt that breaks the content rules is never rendered
+  const promptCheck = await moderateText({ prompt: scenePrompt }, 'prompt', getStoreProfile(context.shop));
+  if (promptCheck.flagged) {
+    log.warn('Scene prompt flagged by moderation, serving the original', { flags: promptCheck.flags });
+    return quarantineGeneration(request, context, cacheKey, scenePrompt, promptCheck.flags);
+  }
+
+  const verify = shouldCheckFidelity(request.imageType);
+  const maxAttempts = verify ? 1 + FIDELITY_MAX_RETRIES : 1;
+  let fidelity: FidelityScore | undefined;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // Generate image with the providers routed for this image type
+    log.info('Generating image', { attempt, maxAttempts });
+    hooks.onStage?.('rendering');
+    const result = await renderImage(request, context, scenePrompt, hooks);
+
+    // An image that cannot be checked is never served: fall back to the original, uncached so the next request retries
+    let output: StoredImage;
+    try {
+      output = await downloadImage(result.imageUrl);
+    } catch (error) {
+      log.error('Download failed, serving the original image', { error });
+      return { imageUrl: request.imageUrl, prompt: scenePrompt, cached: false, cacheKey };
+    }
+
+    fidelity = undefined;
+    if (verify) {
+      try {
+        fidelity = { ...(await checkFidelity(request.imageUrl, output.bytes)), attempts: attempt };
+        log.info(fidelity.passed ? 'Fidelity check passed' : 'Fidelity check failed', { fidelity });
+      } catch (error) {
+        // A broken check must not block generation
+        log.warn('Fidelity check errored, accepting image unverified', { error });
+      }
+    }
+    if (fidelity && !fidelity.passed) continue;
+
+    const imageCheck = await moderateImage(output);
+    if (imageCheck.flagged) {
+      log.warn('Image flagged by moderation, serving the original', { flags: imageCheck.flags });
+      return quarantineGeneration(request, context, cacheKey, scenePrompt, imageCheck.flags, output);
+    }
+
+    // Keep our own copy so cached entries don't depend on fal's CDN retention
+    let imageUrl = result.imageUrl;
+    let variants: ImageVariants | undefined;
+    try {
+      ({ imageUrl, variants } = await storeImage(output));
+    } catch (error) {
+      log.error('Re-hosting failed, using provider URL', { error });
+    }
+
+    if (isReviewRequired(context.shop)) {
+      log.info('Holding generation for review, serving the original');
+      return cacheGeneration(cacheKey, submitForReview({
+        cacheKey,
+        generatedImageUrl: imageUrl,
+        variants,
+        prompt: scenePrompt,
+        fidelity,
+        request,
+        context,
+      }));
+    }
+
+    return cacheGeneration(cacheKey, { imageUrl, variants, prompt: scenePrompt, createdAt: Date.now(), fidelity });
+  }
+
+  // Every attempt altered the product: serve the original photo rather than a wrong product
+  log.warn('Every attempt failed the fidelity check, falling back to the original image', { attempts: maxAttempts });
+  return cacheGeneration(cacheKey, {
+    imageUrl: request.imageUrl,
+    prompt: scenePrompt,
+    createdAt: Date.now(),
+    fidelity: fidelity && { ...fidelity, fallback: true },
+  });
+}
+
+/**
+ * Keep a flagged generation for review and serve (and cache) the original image instead
+ */
+async function quarantineGeneration(
+  request: GenerateRequest,
+  context: UserContext,
+  cacheKey: string,
+  scenePrompt: string,
+  flags: ModerationFlag[],
+  output?: StoredImage
+): Promise<GenerationResult> {
+  let generatedImageUrl: string | undefined;
+  if (output) {
+    try {
+      ({ imageUrl: generatedImageUrl } = await storeImage(output));
+    } catch (error) {
+      logger.error('Failed to store flagged image for review', { requestId: context.requestId, error });
+    }
+  }
+
+  const quarantine = quarantineItem({
+    kind: 'image',
+    shop: context.shop,
+    campaign: context.utmCampaign,
+    trafficSource: context.trafficSource,
+    imageType: context.imageType || 'product',
+    sourceImageUrl: request.imageUrl,
+    generatedImageUrl,
+    prompt: scenePrompt,
+    flags,
+    requestId: context.requestId,
+  });
+
+  return cacheGeneration(cacheKey, {
+    imageUrl: request.imageUrl,
+    prompt: scenePrompt,
+    createdAt: Date.now(),
+    quarantine,
+  });
+}
+
+function cacheGeneration(cacheKey: string, image: CachedImage): GenerationResult {
+  setCachedImage(cacheKey, image);
+
+  return {
+    imageUrl: image.imageUrl,
+    variants: image.variants,
+    prompt: image.prompt,
+    cached: false,
+    cacheKey,
+    fidelity: image.fidelity,
+  };
+}
+
+/**
+ * Coalescing metrics: generations actually started vs. duplicates that joined one
+ */
+export function getCoalescingStats(): { inFlight: number; started: number; coalesced: number } {
+  return {
+    inFlight: inFlight.size,
+    started: coalescingStats.started,
+    coalesced: coalescingStats.coalesced,
+  };
+}
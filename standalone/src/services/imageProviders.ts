@@ -0,0 +1,185 @@
+import type { ImageType } from '../types.js';
+import { loadConfigFile } from '../lib/config.js';
+import { ApiError } from '../lib/errors.js';
+import { histogram, UPSTREAM_BUCKETS } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+import { createFalProvider } from './fal.js';
+import { createMockImageProvider, isMockMode } from './mock.js';
+
+/**
+ * Queue/progress update reported by a provider while it renders
+ */
+export interface GenerationProgress {
+  status: 'IN_QUEUE' | 'IN_PROGRESS';
+  queuePosition?: number;
+  updates: number;
+}
+
+export interface GenerateImageInput {
+  imageUrl: string;
+  prompt: string;
+  imageType?: ImageType;
+  // The product must keep its position and size, because the fidelity check compares it in place
+  keepPlacement?: boolean;
+  // API request this render belongs to, for log correlation (not the provider's request id)
+  requestId?: string;
+  onProgress?: (progress: GenerationProgress) => void;
+  // A call that timed out but could not be cancelled upstream; it may still finish and be billed
+  onAbandoned?: (call: AbandonedCall) => void;
+}
+
+export interface AbandonedCall {
+  provider: string;
+  model: string;
+  // Provider's request id, when the request was accepted before the timeout
+  requestId?: string;
+  latencyMs: number;
+}
+
+export interface GenerateImageOutput {
+  imageUrl: string;
+  requestId: string;
+  // Provider id from the config and the underlying model that produced the image
+  provider: string;
+  model: string;
+}
+
+/**
+ * An image-editing backend (one model on one platform)
+ */
+export interface ImageProvider {
+  readonly id: string;
+  readonly model: string;
+  generate(input: GenerateImageInput): Promise<GenerateImageOutput>;
+}
+
+/**
+ * Provider definition in config/image-providers.json
+ */
+export interface ImageProviderConfig {
+  type: 'fal' | 'mock';
+  model: string;
+  timeoutMs?: number;
+}
+
+/**
+ * Providers plus the ordered fallback chain per image type
+ */
+export interface ImageProvidersConfig {
+  providers: Record<string, ImageProviderConfig>;
+  routes: Partial<Record<ImageType | 'default', string[]>>;
+}
+
+// Used when no config file exists: the fast model for everything
+const DEFAULT_CONFIG: ImageProvidersConfig = {
+  providers: {
+    'nano-banana': { type: 'fal', model: 'fal-ai/nano-banana/edit', timeoutMs: 120000 },
+  },
+  routes: {
+    default: ['nano-banana'],
+  },
+};
+
+const DEFAULT_TIMEOUT = 120000;
+
+function createProvider(id: string, config: ImageProviderConfig): ImageProvider {
+  // Offline mode keeps the routing but renders every model locally
+  if (isMockMode()) {
+    return createMockImageProvider(id, config.model);
+  }
+
+  switch (config.type) {
+    case 'mock':
+      return createMockImageProvider(id, config.model);
+    case 'fal':
+      return createFalProvider(id, config.model, config.timeoutMs || DEFAULT_TIMEOUT);
+    default:
+      throw new Error(`Unknown image provider type "${(config as { type: string }).type}" for ${id}`);
+  }
+}
+
+function loadProviders(): { providers: Map<string, ImageProvider>; routes: ImageProvidersConfig['routes'] } {
+  const config = loadConfigFile<ImageProvidersConfig>(
+    process.env.IMAGE_PROVIDERS_CONFIG || 'image-providers.json',
+    DEFAULT_CONFIG
+  );
+
+  const providers = new Map<string, ImageProvider>();
+  for (const [id, providerConfig] of Object.entries(config.providers)) {
+    providers.set(id, createProvider(id, providerConfig));
+  }
+
+  // Every route must point at known providers, fail fast at startup otherwise
+  for (const [imageType, chain] of Object.entries(config.routes)) {
+    for (const id of chain || []) {
+      if (!providers.has(id)) {
+        throw new Error(`Image route "${imageType}" references unknown provider "${id}"`);
+      }
+    }
+  }
+  if (!config.routes.default?.length) {
+    throw new Error('Image provider config needs a non-empty "default" route');
+  }
+
+  return { providers, routes: config.routes };
+}
+
+const registry = loadProviders();
+
+/**
+ * Ordered provider chain for an image type (falls back to the default route)
+ */
+export function getProviderChain(imageType: ImageType): ImageProvider[] {
+  const chain = registry.routes[imageType]?.length ? registry.routes[imageType]! : registry.routes.default!;
+  return chain.map(id => registry.providers.get(id)!);
+}
+
+const logger = createLogger('Images');
+
+const providerDuration = histogram(
+  'image_provider_duration_seconds',
+  'Image provider calls (fal.ai) by provider, model and status (ok, timeout, error)',
+  UPSTREAM_BUCKETS
+);
+
+/**
+ * Edit the source image with the providers routed for its type
+ *
+ * Tries each provider in order and moves on to the next one when a provider
+ * errors or times out; throws the last error once the chain is exhausted.
+ */
+export async function generateProductBackground(
+  input: GenerateImageInput
+): Promise<GenerateImageOutput> {
+  const imageType = input.imageType || 'product';
+  const chain = getProviderChain(imageType);
+
+  let lastError: unknown = null;
+  for (const [index, provider] of chain.entries()) {
+    const labels = { provider: provider.id, model: provider.model };
+    const startedAt = Date.now();
+    try {
+      const result = await provider.generate(input);
+      providerDuration.observeSince({ ...labels, status: 'ok' }, startedAt);
+      return result;
+    } catch (error) {
+      const timedOut = error instanceof ApiError && error.code === 'PROVIDER_TIMEOUT';
+      providerDuration.observeSince({ ...labels, status: timedOut ? 'timeout' : 'error' }, startedAt);
+      lastError = error;
+      const next = chain[index + 1];
+      logger.error(next ? 'Provider failed, falling back' : 'Provider failed, chain exhausted', {
+        requestId: input.requestId,
+        provider: provider.id,
+        fallback: next?.id,
+        imageType,
+        error,
+      });
+    }
+  }
+
+  // Timeouts keep their code; anything else is reported as a provider failure (details are logged above)
+  if (lastError instanceof ApiError) throw lastError;
+  const providerError = new ApiError('PROVIDER_ERROR', 'Image generation failed', 502);
+  providerError.cause = lastError;
+  throw providerError;
+}
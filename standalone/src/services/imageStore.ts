@@ -0,0 +1,352 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import type { S3Client } from '@aws-sdk/client-s3';
+import type { ImageFormat, ImageSrcset, ImageVariants } from '../types.js';
+import { resolveDataPath, writeFileAtomically } from '../lib/storage.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('ImageStore');
+
+/**
+ * Stored image bytes
+ */
+export interface StoredImage {
+  bytes: Buffer;
+  contentType: string;
+}
+
+/**
+ * Backend that holds re-hosted image files, keyed by "<hash>.<ext>"
+ */
+export interface ImageBlobStore {
+  readonly name: string;
+  put(fileName: string, image: StoredImage): Promise<void>;
+  get(fileName: string): Promise<StoredImage | null>;
+  has(fileName: string): Promise<boolean>;
+}
+
+const CONTENT_TYPES: Record<string, string> = {
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  avif: 'image/avif',
+};
+
+/**
+ * Stored file names: content hash, optional variant width, extension (nothing else is ever served)
+ */
+export const IMAGE_FILE_PATTERN = /^[a-f0-9]{32}(-\d+w)?\.(webp|png|jpg|avif)$/;
+
+const FORMAT_EXTENSIONS: Record<ImageFormat, string> = {
+  avif: 'avif',
+  webp: 'webp',
+  jpeg: 'jpg',
+};
+
+// Variant widths (px) and formats derived from every generated image
+const VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || '360,720,1080,1440')
+  .split(',').map(w => parseInt(w, 10)).filter(w => w > 0).sort((a, b) => a - b);
+const VARIANT_FORMATS = (process.env.IMAGE_VARIANT_FORMATS || 'avif,webp,jpeg')
+  .split(',').map(f => f.trim()).filter((f): f is ImageFormat => f in FORMAT_EXTENSIONS);
+
+/**
+ * Extension of an image by its actual format (the Content-Type it arrived with can be wrong);
+ * formats that cannot be served from /images are rejected
+ */
+async function sniffExtension(bytes: Buffer): Promise<string> {
+  const { format, compression } = await sharp(bytes).metadata();
+  if (format === 'jpeg') return 'jpg';
+  if (format === 'png' || format === 'webp') return format;
+  if (format === 'heif' && compression === 'av1') return 'avif';
+  throw new Error(`Unsupported image format: ${format || 'unknown'}`);
+}
+
+export function contentTypeFor(fileName: string): string {
+  return CONTENT_TYPES[path.extname(fileName).slice(1)] || 'application/octet-stream';
+}
+
+/**
+ * Local disk store (default), files live under DATA_DIR/images
+ */
+export class LocalImageStore implements ImageBlobStore {
+  readonly name = 'local';
+
+  constructor(private readonly dir: string) {}
+
+  async put(fileName: string, image: StoredImage): Promise<void> {
+    await writeFileAtomically(path.join(this.dir, fileName), image.bytes);
+  }
+
+  async get(fileName: string): Promise<StoredImage | null> {
+    try {
+      const bytes = await fs.promises.readFile(path.join(this.dir, fileName));
+      return { bytes, contentType: contentTypeFor(fileName) };
+    } catch {
+      return null;
+    }
+  }
+
+  async has(fileName: string): Promise<boolean> {
+    try {
+      await fs.promises.access(path.join(this.dir, fileName));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * S3-compatible object store (AWS S3, Cloudflare R2, MinIO, ...)
+ */
+export class S3ImageStore implements ImageBlobStore {
+  readonly name = 's3';
+  private client: Promise<S3Client> | null = null;
+
+  constructor(private readonly bucket: string, private readonly prefix: string) {}
+
+  private getClient(): Promise<S3Client> {
+    if (!this.client) {
+      this.client = import('@aws-sdk/client-s3').then(({ S3Client }) => new S3Client({
+        region: process.env.S3_REGION || 'auto',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+        } : undefined,
+      }));
+    }
+    return this.client;
+  }
+
+  async put(fileName: string, image: StoredImage): Promise<void> {
+    const { PutObjectCommand } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    await client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.prefix + fileName,
+      Body: image.bytes,
+      ContentType: image.contentType,
+      CacheControl: 'public, max-age=31536000, immutable',
+    }));
+  }
+
+  async get(fileName: string): Promise<StoredImage | null> {
+    const { GetObjectCommand } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    try {
+      const result = await client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + fileName,
+      }));
+      if (!result.Body) return null;
+      return {
+        bytes: Buffer.from(await result.Body.transformToByteArray()),
+        contentType: result.ContentType || contentTypeFor(fileName),
+      };
+    } catch (error) {
+      if ((error as { name?: string }).name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  async has(fileName: string): Promise<boolean> {
+    const { HeadObjectCommand } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.prefix + fileName }));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Create the store selected by IMAGE_STORAGE (local | s3)
+ */
+function createStore(): ImageBlobStore {
+  const backend = process.env.IMAGE_STORAGE || 'local';
+
+  if (backend === 's3') {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('IMAGE_STORAGE=s3 requires S3_BUCKET');
+    }
+    return new S3ImageStore(process.env.S3_BUCKET, process.env.S3_PREFIX || 'images/');
+  }
+
+  if (backend !== 'local') {
+    logger.warn(`Unknown IMAGE_STORAGE "${backend}", falling back to local`);
+  }
+  return new LocalImageStore(resolveDataPath(process.env.IMAGE_STORAGE_DIR || 'images'));
+}
+
+const imageStore: ImageBlobStore = createStore();
+
+export function getImageStore(): ImageBlobStore {
+  return imageStore;
+}
+
+/**
+ * Re-hosted image: primary path plus responsive variants (if they could be derived)
+ */
+export interface RehostedImage {
+  imageUrl: string;
+  variants?: ImageVariants;
+}
+
+/**
+ * Encode one resized copy of the source in the given format
+ */
+function encodeVariant(source: Buffer, width: number, format: ImageFormat): Promise<Buffer> {
+  const pipeline = sharp(source).resize({ width, withoutEnlargement: true });
+  if (format === 'avif') return pipeline.avif({ quality: 55, effort: 2 }).toBuffer();
+  if (format === 'webp') return pipeline.webp({ quality: 80 }).toBuffer();
+  return pipeline.jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+}
+
+/**
+ * Derive width × format variants, skipping widths larger than the source
+ */
+async function createVariants(bytes: Buffer, hash: string): Promise<ImageVariants> {
+  const metadata = await sharp(bytes).metadata();
+  const sourceWidth = metadata.width || 0;
+  const sourceHeight = metadata.height || 0;
+
+  let widths = VARIANT_WIDTHS.filter(w => w < sourceWidth);
+  if (sourceWidth > 0) widths = [...widths, sourceWidth];
+
+  const variants: ImageVariants = { width: sourceWidth, height: sourceHeight, sources: {} };
+
+  for (const format of VARIANT_FORMATS) {
+    const sources: Array<{ url: string; width: number }> = [];
+    for (const width of widths) {
+      const fileName = `${hash}-${width}w.${FORMAT_EXTENSIONS[format]}`;
+      if (!(await imageStore.has(fileName))) {
+        const encoded = await encodeVariant(bytes, width, format);
+        await imageStore.put(fileName, { bytes: encoded, contentType: contentTypeFor(fileName) });
+      }
+      sources.push({ url: `/images/${fileName}`, width });
+    }
+    variants.sources[format] = sources;
+  }
+
+  return variants;
+}
+
+// Largest image accepted from a provider or a shop (product photos are a few MB at most)
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Download an image (a generated output or a source product photo)
+ *
+ * Redirects are refused rather than followed, since only the original URL passed the
+ * host and network checks, and bodies over MAX_DOWNLOAD_BYTES are cut off.
+ */
+export async function downloadImage(url: string): Promise<StoredImage> {
+  const response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(30000) });
+  if (response.status >= 300 && response.status < 400) {
+    await response.body?.cancel();
+    throw new Error(`Refusing to follow image redirect (${response.status})`);
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`Failed to download image: ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || 'image/webp';
+  if (!contentType.startsWith('image/')) {
+    await response.body?.cancel();
+    throw new Error(`Downloaded asset is not an image (${contentType})`);
+  }
+
+  const declaredLength = Number(response.headers.get('content-length'));
+  if (declaredLength > MAX_DOWNLOAD_BYTES) {
+    await response.body?.cancel();
+    throw new Error(`Image too large (${declaredLength} bytes, max ${MAX_DOWNLOAD_BYTES})`);
+  }
+
+  return { bytes: await readLimited(response, MAX_DOWNLOAD_BYTES), contentType };
+}
+
+/**
+ * Read a response body, failing as soon as it grows past maxBytes (Content-Length may be missing or wrong)
+ */
+async function readLimited(response: Response, maxBytes: number): Promise<Buffer> {
+  if (!response.body) return Buffer.alloc(0);
+
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error(`Image too large (over ${maxBytes} bytes)`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Store image bytes under a content-addressed name
+ *
+ * Returns the path it is served from (/images/<hash>.<ext>) plus resized
+ * AVIF/WebP/JPEG variants. Stored paths are relative so cached entries stay
+ * valid if the public domain changes.
+ */
+export async function storeImage(image: StoredImage): Promise<RehostedImage> {
+  const { bytes } = image;
+  const hash = crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 32);
+  const extension = await sniffExtension(bytes);
+  const fileName = `${hash}.${extension}`;
+
+  if (!(await imageStore.has(fileName))) {
+    await imageStore.put(fileName, { bytes, contentType: CONTENT_TYPES[extension] });
+  }
+
+  logger.info('Stored', { fileName, bytes: bytes.length, backend: imageStore.name });
+
+  let variants: ImageVariants | undefined;
+  if (VARIANT_FORMATS.length > 0) {
+    try {
+      variants = await createVariants(bytes, hash);
+    } catch (error) {
+      logger.error('Failed to create variants', { fileName, error });
+    }
+  }
+
+  return { imageUrl: `/images/${fileName}`, variants };
+}
+
+/**
+ * Turn a stored image path into an absolute URL for the storefront
+ * (PUBLIC_BASE_URL wins over the origin of the current request)
+ */
+export function resolveImageUrl(imageUrl: string, requestOrigin: string): string {
+  if (!imageUrl.startsWith('/')) return imageUrl;
+  const base = (process.env.PUBLIC_BASE_URL || requestOrigin).replace(/\/$/, '');
+  return base + imageUrl;
+}
+
+/**
+ * Build per-format srcset strings with absolute URLs
+ */
+export function buildSrcset(variants: ImageVariants | undefined, requestOrigin: string): ImageSrcset | undefined {
+  if (!variants) return undefined;
+
+  const srcset: ImageSrcset = {};
+  for (const [format, sources] of Object.entries(variants.sources) as Array<[ImageFormat, Array<{ url: string; width: number }>]>) {
+    if (sources.length === 0) continue;
+    srcset[format] = sources
+      .map(source => `${resolveImageUrl(source.url, requestOrigin)} ${source.width}w`)
+      .join(', ');
+  }
+  return srcset;
+}
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import type { ErrorCode, ImageType, ImageVariants } from '../types.js';
+import type { GenerationHooks, GenerationResult } from './generator.js';
+import { ApiError, toApiError } from '../lib/errors.js';
+import { envPositiveInt } from '../lib/env.js';
+import { gauge } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Jobs');
+
+/**
+ * Lifecycle of an asynchronous generation job
+ */
+export type JobStatus = 'queued' | 'prompting' | 'rendering' | 'done' | 'failed';
+
+export interface GenerationJob {
+  id: string;
+  status: JobStatus;
+  imageType: ImageType;
+  // Shop that submitted the job (only that shop may read it)
+  shop?: string;
+  createdAt: number;
+  updatedAt: number;
+  // fal.ai queue progress (only while rendering)
+  progress?: {
+    queuePosition?: number;
+    updates: number;
+  };
+  result?: {
+    imageUrl: string;
+    generationId: string;
+    variants?: ImageVariants;
+    prompt: string;
+    cached: boolean;
+  };
+  error?: string;
+  errorCode?: ErrorCode;
+}
+
+type JobRunner = (hooks: GenerationHooks) => Promise<GenerationResult>;
+
+// Max generations running at once; the rest wait as "queued"
+const MAX_CONCURRENT_JOBS = envPositiveInt('GENERATION_CONCURRENCY', 4);
+
+// Max generations waiting for a slot; beyond that new ones are refused
+const MAX_QUEUED_JOBS = envPositiveInt('GENERATION_QUEUE_LIMIT', 100);
+
+// Finished jobs are kept for polling for 10 minutes
+const JOB_RETENTION = 10 * 60 * 1000;
+
+const jobs = new Map<string, GenerationJob>();
+// requestId stays server-side: jobs are returned to clients as-is
+const pending: Array<{
+  job: GenerationJob;
+  run: JobRunner;
+  requestId?: string;
+  // Set for jobs a request waits on (runJob)
+  settle?: { resolve: (result: GenerationResult) => void; reject: (error: unknown) => void };
+}> = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let running = 0;
+
+gauge('jobs_queued', 'Generation jobs waiting for a free slot (GENERATION_CONCURRENCY)', () => pending.length);
+gauge('jobs_running', 'Generation jobs currently running', () => running);
+
+export function isTerminal(status: JobStatus): boolean {
+  return status === 'done' || status === 'failed';
+}
+
+function update(job: GenerationJob, changes: Partial<GenerationJob>): void {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  events.emit('job', job);
+
+  if (isTerminal(job.status)) {
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION).unref();
+  }
+}
+
+function drain(): void {
+  while (running < MAX_CONCURRENT_JOBS && pending.length > 0) {
+    const { job, run, requestId, settle } = pending.shift()!;
+    running++;
+
+    run({
+      onStage: (stage) => update(job, { status: stage }),
+      onProgress: (progress) => update(job, {
+        progress: { queuePosition: progress.queuePosition, updates: progress.updates },
+      }),
+    })
+      .then((result) => {
+        update(job, {
+          status: 'done',
+          result: { imageUrl: result.imageUrl, generationId: result.cacheKey, variants: result.variants, prompt: result.prompt, cached: result.cached },
+        });
+        settle?.resolve(result);
+      })
+      .catch((error) => {
+        logger.error('Job failed', { requestId, jobId: job.id, error });
+        const apiError = toApiError(error);
+        update(job, {
+          status: 'failed',
+          error: apiError.message,
+          errorCode: apiError.code,
+        });
+        settle?.reject(error);
+      })
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+}
+
+function enqueue(
+  imageType: ImageType,
+  run: JobRunner,
+  shop: string | undefined,
+  requestId: string | undefined,
+  settle?: { resolve: (result: GenerationResult) => void; reject: (error: unknown) => void }
+): GenerationJob {
+  if (pending.length >= MAX_QUEUED_JOBS) {
+    logger.warn('Generation queue full, refusing job', { requestId, shop, queued: pending.length });
+    throw new ApiError('RATE_LIMITED', 'Too many generations queued, try again shortly', 503, { retryAfter: 10 });
+  }
+
+  const now = Date.now();
+  const job: GenerationJob = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    imageType,
+    shop,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  jobs.set(job.id, job);
+  pending.push({ job, run, requestId, settle });
+  drain();
+
+  return job;
+}
+
+/**
+ * Enqueue a generation and return its job immediately
+ *
+ * Throws RATE_LIMITED (503) when GENERATION_QUEUE_LIMIT jobs are already waiting.
+ */
+export function createJob(imageType: ImageType, run: JobRunner, shop?: string, requestId?: string): GenerationJob {
+  return enqueue(imageType, run, shop, requestId);
+}
+
+/**
+ * Run a generation through the queue and wait for its result, so synchronous requests
+ * share the GENERATION_CONCURRENCY cap (rejects with the generation's own error)
+ */
+export function runJob(imageType: ImageType, run: JobRunner, shop?: string, requestId?: string): Promise<GenerationResult> {
+  return new Promise((resolve, reject) => {
+    enqueue(imageType, run, shop, requestId, { resolve, reject });
+  });
+}
+
+export function getJob(id: string): GenerationJob | null {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Subscribe to updates for any job; returns an unsubscribe function
+ */
+export function onJobUpdate(listener: (job: GenerationJob) => void): () => void {
+  events.on('job', listener);
+  return () => {
+    events.off('job', listener);
+  };
+}
+
+/**
+ * Resolve once the job is done or failed
+ */
+export function waitForJob(job: GenerationJob): Promise<GenerationJob> {
+  if (isTerminal(job.status)) return Promise.resolve(job);
+
+  return new Promise((resolve) => {
+    const unsubscribe = onJobUpdate((updated) => {
+      if (updated.id === job.id && isTerminal(updated.status)) {
+        unsubscribe();
+        resolve(updated);
+      }
+    });
+  });
+}
+
+export function getJobStats(): { queued: number; running: number; tracked: number } {
+  return {
+    queued: pending.length,
+    running,
+    tracked: jobs.size,
+  };
+}
@@ -0,0 +1,309 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import type { ImageType, TrafficSource, UserContext } from '../types.js';
+import { resolveDataPath } from '../lib/storage.js';
+import { recordImageUsage, recordLlmUsage } from './usage.js';
+import { histogram, UPSTREAM_BUCKETS } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Ledger');
+
+/**
+ * One LLM call, image generation or cache hit (a line of data/ledger.jsonl)
+ */
+export interface LedgerEntry {
+  timestamp: string;
+  kind: 'llm' | 'image';
+  // productPrompt / bannerPrompt / collectionPrompt / personalize / image
+  operation: string;
+  shop: string;
+  campaign: string;
+  trafficSource: string;
+  imageType?: ImageType;
+  model?: string;
+  provider?: string;
+  // Provider request id (fal.ai) for tracing a generation
+  requestId?: string;
+  inputTokens: number;
+  outputTokens: number;
+  latencyMs: number;
+  cache: 'hit' | 'miss';
+  costUsd: number;
+  error?: string;
+}
+
+/**
+ * Who a call was made for, shared by every entry of a request
+ */
+export interface LedgerScope {
+  shop?: string;
+  campaign?: string;
+  trafficSource?: TrafficSource | string;
+  imageType?: ImageType;
+}
+
+export type LedgerGroupBy = 'day' | 'campaign' | 'source' | 'shop' | 'model' | 'imageType';
+
+export const LEDGER_GROUPS: LedgerGroupBy[] = ['day', 'campaign', 'source', 'shop', 'model', 'imageType'];
+
+export interface LedgerTotals {
+  calls: number;
+  llmCalls: number;
+  imageCalls: number;
+  cacheHits: number;
+  errors: number;
+  inputTokens: number;
+  outputTokens: number;
+  costUsd: number;
+  // Average over calls that actually hit a model (cache hits excluded)
+  avgLatencyMs: number;
+}
+
+export interface LedgerReport {
+  groupBy: LedgerGroupBy;
+  from?: string;
+  to?: string;
+  totals: LedgerTotals;
+  rows: Array<{ key: string } & LedgerTotals>;
+}
+
+// Every chat completion passes through recordLlmCall, so its latency is observed here
+const llmDuration = histogram(
+  'openai_request_duration_seconds',
+  'OpenAI chat completions by operation, model and status (ok, error)',
+  UPSTREAM_BUCKETS
+);
+
+const LEDGER_FILE = resolveDataPath(process.env.LEDGER_FILE || 'ledger.jsonl');
+
+// Appends are chained so lines never interleave and reports see every earlier write
+let writeQueue: Promise<void> = fs.promises.mkdir(path.dirname(LEDGER_FILE), { recursive: true })
+  .then(() => undefined)
+  .catch((error) => logger.error('Failed to create data directory', { error }));
+
+function append(entry: LedgerEntry): void {
+  writeQueue = writeQueue
+    .then(() => fs.promises.appendFile(LEDGER_FILE, JSON.stringify(entry) + '\n', 'utf-8'))
+    .catch((error) => logger.error('Failed to write entry', { error }));
+}
+
+function createEntry(scope: LedgerScope, fields: Partial<LedgerEntry> & Pick<LedgerEntry, 'kind' | 'operation'>): LedgerEntry {
+  const { kind, operation, ...rest } = fields;
+  return {
+    timestamp: new Date().toISOString(),
+    kind,
+    operation,
+    shop: scope.shop || '',
+    campaign: scope.campaign || '',
+    trafficSource: scope.trafficSource || '',
+    imageType: scope.imageType,
+    inputTokens: 0,
+    outputTokens: 0,
+    latencyMs: 0,
+    cache: 'miss',
+    costUsd: 0,
+    ...rest,
+  };
+}
+
+function getErrorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Ledger scope of a generation request
+ */
+export function getLedgerScope(context: UserContext): LedgerScope {
+  return {
+    shop: context.shop,
+    campaign: context.utmCampaign,
+    trafficSource: context.trafficSource,
+    imageType: context.imageType || 'product',
+  };
+}
+
+/**
+ * Record a chat completion (also counts it against quotas); returns its estimated cost
+ */
+export function recordLlmCall(
+  scope: LedgerScope,
+  call: {
+    operation: string;
+    model: string;
+    usage?: { prompt_tokens?: number; completion_tokens?: number };
+    latencyMs: number;
+    error?: unknown;
+  }
+): number {
+  const costUsd = recordLlmUsage(scope.shop, call.model, call.usage);
+  llmDuration.observe(
+    { operation: call.operation, model: call.model, status: call.error ? 'error' : 'ok' },
+    call.latencyMs / 1000
+  );
+  append(createEntry(scope, {
+    kind: 'llm',
+    operation: call.operation,
+    model: call.model,
+    inputTokens: call.usage?.prompt_tokens || 0,
+    outputTokens: call.usage?.completion_tokens || 0,
+    latencyMs: call.latencyMs,
+    costUsd,
+    error: call.error ? getErrorMessage(call.error) : undefined,
+  }));
+  return costUsd;
+}
+
+/**
+ * Record an image generation (also counts it against quotas); returns its estimated cost
+ *
+ * Failed generations are logged without a cost and do not count against quotas, except
+ * abandoned ones (timed out and not cancellable upstream), which the provider may still bill.
+ */
+export function recordImageCall(
+  scope: LedgerScope,
+  call: {
+    model?: string;
+    provider?: string;
+    requestId?: string;
+    latencyMs: number;
+    error?: unknown;
+    abandoned?: boolean;
+  }
+): number {
+  const billed = call.abandoned || !call.error;
+  const costUsd = !billed || !call.model ? 0 : recordImageUsage(scope.shop, call.model);
+  append(createEntry(scope, {
+    kind: 'image',
+    operation: 'image',
+    model: call.model,
+    provider: call.provider,
+    requestId: call.requestId,
+    latencyMs: call.latencyMs,
+    costUsd,
+    error: call.error ? getErrorMessage(call.error) : undefined,
+  }));
+  return costUsd;
+}
+
+/**
+ * Record a request served from cache (no model call, no cost)
+ */
+export function recordCacheHit(scope: LedgerScope, kind: 'image' | 'personalize'): void {
+  append(createEntry(scope, {
+    kind: kind === 'image' ? 'image' : 'llm',
+    operation: kind,
+    cache: 'hit',
+  }));
+}
+
+function emptyTotals(): LedgerTotals {
+  return {
+    calls: 0,
+    llmCalls: 0,
+    imageCalls: 0,
+    cacheHits: 0,
+    errors: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+    avgLatencyMs: 0,
+  };
+}
+
+function getGroupKey(entry: LedgerEntry, groupBy: LedgerGroupBy): string {
+  switch (groupBy) {
+    case 'day': return entry.timestamp.slice(0, 10);
+    case 'campaign': return entry.campaign || '(none)';
+    case 'source': return entry.trafficSource || '(unknown)';
+    case 'shop': return entry.shop || '(none)';
+    case 'model': return entry.model || '(cache)';
+    case 'imageType': return entry.imageType || '(none)';
+  }
+}
+
+/**
+ * Aggregate the ledger by day, campaign, traffic source, shop, model or image type
+ *
+ * `from` / `to` are inclusive dates (YYYY-MM-DD, UTC). Streams the file, so
+ * memory only grows with the number of groups.
+ */
+export async function getLedgerReport(options: {
+  groupBy: LedgerGroupBy;
+  from?: string;
+  to?: string;
+  shop?: string;
+  campaign?: string;
+}): Promise<LedgerReport> {
+  await writeQueue;
+
+  const totals = emptyTotals();
+  const groups = new Map<string, LedgerTotals>();
+  // Summed latency of model calls, turned into averages at the end
+  const latency = new Map<LedgerTotals, { sum: number; count: number }>();
+
+  const add = (target: LedgerTotals, entry: LedgerEntry) => {
+    target.calls++;
+    if (entry.kind === 'llm') target.llmCalls++;
+    if (entry.kind === 'image') target.imageCalls++;
+    if (entry.cache === 'hit') target.cacheHits++;
+    if (entry.error) target.errors++;
+    target.inputTokens += entry.inputTokens;
+    target.outputTokens += entry.outputTokens;
+    target.costUsd += entry.costUsd;
+    if (entry.cache === 'miss') {
+      const stats = latency.get(target) || { sum: 0, count: 0 };
+      stats.sum += entry.latencyMs;
+      stats.count++;
+      latency.set(target, stats);
+    }
+  };
+
+  if (fs.existsSync(LEDGER_FILE)) {
+    const lines = readline.createInterface({ input: fs.createReadStream(LEDGER_FILE, 'utf-8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry: LedgerEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      const day = entry.timestamp.slice(0, 10);
+      if (options.from && day < options.from) continue;
+      if (options.to && day > options.to) continue;
+      if (options.shop && entry.shop !== options.shop) continue;
+      if (options.campaign && entry.campaign !== options.campaign) continue;
+
+      const key = getGroupKey(entry, options.groupBy);
+      let group = groups.get(key);
+      if (!group) {
+        group = emptyTotals();
+        groups.set(key, group);
+      }
+      add(group, entry);
+      add(totals, entry);
+    }
+  }
+
+  const finish = (target: LedgerTotals): LedgerTotals => {
+    const stats = latency.get(target);
+    return {
+      ...target,
+      costUsd: Math.round(target.costUsd * 10000) / 10000,
+      avgLatencyMs: stats ? Math.round(stats.sum / stats.count) : 0,
+    };
+  };
+
+  return {
+    groupBy: options.groupBy,
+    from: options.from,
+    to: options.to,
+    totals: finish(totals),
+    rows: [...groups.entries()]
+      .map(([key, group]) => ({ key, ...finish(group) }))
+      .sort((a, b) => options.groupBy === 'day' ? a.key.localeCompare(b.key) : b.costUsd - a.costUsd),
+  };
+}
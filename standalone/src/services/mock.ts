@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import type { ImageType } from '../types.js';
+import type { GenerateImageInput, GenerateImageOutput, ImageProvider } from './imageProviders.js';
+import type { WeatherData } from './weather.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Mock');
+
+/**
+ * Offline mode (MOCK_MODE=true): no OpenAI, fal.ai or weather calls are made
+ *
+ * Scene prompts and personalization use the deterministic fallbacks, images are
+ * rendered locally and weather is canned, so the full flow runs without network
+ * or API keys (CI, demos, local development).
+ */
+export function isMockMode(): boolean {
+  return process.env.MOCK_MODE === 'true' || process.env.MOCK_MODE === '1';
+}
+
+// Canvas size per image type, roughly matching what the real models return
+const MOCK_SIZES: Record<ImageType, { width: number; height: number }> = {
+  product: { width: 1024, height: 1024 },
+  collection: { width: 1536, height: 1024 },
+  banner: { width: 1920, height: 1080 },
+  imageWithText: { width: 1536, height: 1024 },
+};
+
+// Simulated render time so loading states and job progress can be seen
+const MOCK_LATENCY = parseInt(process.env.MOCK_LATENCY_MS || '300', 10);
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&'"]/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function wrapText(text: string, maxChars: number, maxLines: number): string[] {
+  const lines: string[] = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+      if (lines.length === maxLines) break;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+  return lines;
+}
+
+/**
+ * Placeholder image: gradient seeded by the prompt with the prompt printed on it
+ */
+async function renderPlaceholder(input: GenerateImageInput, model: string): Promise<Buffer> {
+  const imageType = input.imageType || 'product';
+  const { width, height } = MOCK_SIZES[imageType];
+  const hash = crypto.createHash('sha256').update(`${imageType}|${input.prompt}`).digest('hex');
+  const hue = parseInt(hash.slice(0, 4), 16) % 360;
+
+  const fontSize = Math.round(width / 40);
+  const lines = wrapText(input.prompt, Math.floor(width / (fontSize * 0.55)) - 4, 12);
+  const text = lines
+    .map((line, i) => `<text x="${fontSize * 2}" y="${fontSize * (5 + i * 1.5)}">${escapeXml(line)}</text>`)
+    .join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+<stop offset="0" stop-color="hsl(${hue}, 55%, 78%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360}, 55%, 58%)"/>
+</linearGradient></defs>
+<rect width="100%" height="100%" fill="url(#bg)"/>
+<g font-family="sans-serif" fill="#1f1f1f">
+<text x="${fontSize * 2}" y="${fontSize * 2.5}" font-size="${fontSize * 1.2}" font-weight="bold">MOCK ${escapeXml(imageType)} · ${escapeXml(model)} · ${hash.slice(0, 8)}</text>
+<g font-size="${fontSize}">${text}</g>
+</g>
+</svg>`;
+
+  return sharp(Buffer.from(svg)).webp({ quality: 80 }).toBuffer();
+}
+
+/**
+ * Image provider that renders placeholders locally (returned as a data: URL,
+ * which the re-hosting step stores like any other generated image)
+ */
+export function createMockImageProvider(id: string, model = 'mock'): ImageProvider {
+  return {
+    id,
+    model,
+    generate: async (input: GenerateImageInput): Promise<GenerateImageOutput> => {
+      input.onProgress?.({ status: 'IN_QUEUE', queuePosition: 0, updates: 0 });
+      await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY));
+      input.onProgress?.({ status: 'IN_PROGRESS', updates: 1 });
+
+      const bytes = await renderPlaceholder(input, model);
+      logger.info('Rendered placeholder', { requestId: input.requestId, imageType: input.imageType || 'product', bytes: bytes.length });
+
+      return {
+        imageUrl: `data:image/webp;base64,${bytes.toString('base64')}`,
+        requestId: `mock-${crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 16)}`,
+        provider: id,
+        model,
+      };
+    },
+  };
+}
+
+/**
+ * Canned weather (MOCK_WEATHER=sunny|cloudy|rainy|snowy|stormy, default sunny)
+ */
+export function getMockWeather(): WeatherData {
+  const presets: Record<string, WeatherData> = {
+    sunny: { condition: 'sunny', temperature: 'warm', temperatureCelsius: 24, description: 'sunny warm weather' },
+    cloudy: { condition: 'cloudy', temperature: 'cool', temperatureCelsius: 16, description: 'cloudy cool weather' },
+    rainy: { condition: 'rainy', temperature: 'cool', temperatureCelsius: 12, description: 'rainy cool weather' },
+    snowy: { condition: 'snowy', temperature: 'cold', temperatureCelsius: -2, description: 'snowy cold weather' },
+    stormy: { condition: 'stormy', temperature: 'warm', temperatureCelsius: 22, description: 'stormy warm weather' },
+  };
+  return presets[process.env.MOCK_WEATHER || 'sunny'] || presets.sunny;
+}
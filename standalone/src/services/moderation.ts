@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import type { ImageType, ModerationFlag, QuarantineRef, StoreProfile, TrafficSource } from '../types.js';
+import { loadConfigFile } from '../lib/config.js';
+import { createJsonFileWriter, readJsonFile, resolveDataPath } from '../lib/storage.js';
+import type { StoredImage } from './imageStore.js';
+import { isMockMode } from './mock.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Moderation');
+
+/**
+ * What a rule is checked against: LLM-written storefront copy or the scene prompt of an image
+ */
+export type ModerationTarget = 'copy' | 'prompt';
+
+/**
+ * Rule in config/moderation.json
+ *
+ * terms match whole words case-insensitively, patterns are regular expressions
+ * (case-insensitive). Rules apply to every target and store profile unless
+ * appliesTo / profiles narrow them.
+ */
+export interface ModerationRule {
+  id: string;
+  category: string;
+  terms?: string[];
+  patterns?: string[];
+  appliesTo?: ModerationTarget[];
+  profiles?: string[];
+}
+
+interface ModerationConfig {
+  rules: ModerationRule[];
+}
+
+/**
+ * External classifier consulted after the rules (MODERATION_PROVIDER)
+ */
+export interface ModerationProvider {
+  readonly name: string;
+  moderate(input: { text?: string; image?: StoredImage }): Promise<Array<Omit<ModerationFlag, 'field'>>>;
+}
+
+/**
+ * Outcome of a moderation check; flagged content must not go live
+ */
+export interface ModerationResult {
+  flagged: boolean;
+  flags: ModerationFlag[];
+}
+
+/**
+ * Flagged item kept for review while the original content is served
+ */
+export interface QuarantineEntry {
+  id: string;
+  createdAt: string;
+  kind: 'image' | 'copy';
+  shop?: string;
+  campaign?: string;
+  trafficSource?: TrafficSource;
+  imageType?: ImageType;
+  // Source image still served in place of the generation
+  sourceImageUrl?: string;
+  // Flagged generation (stored path), absent when the prompt was rejected before rendering
+  generatedImageUrl?: string;
+  prompt?: string;
+  copy?: Record<string, string>;
+  flags: ModerationFlag[];
+  // API request that produced the item, to find its log lines
+  requestId?: string;
+}
+
+interface CompiledRule {
+  rule: ModerationRule;
+  regexes: RegExp[];
+}
+
+const PROVIDER_TIMEOUT = 10000;
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRules(config: ModerationConfig): CompiledRule[] {
+  return config.rules.map((rule) => ({
+    rule,
+    regexes: [
+      ...(rule.terms || []).map(term => new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i')),
+      ...(rule.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+    ],
+  }));
+}
+
+const rules = compileRules(loadConfigFile<ModerationConfig>(
+  process.env.MODERATION_CONFIG || 'moderation.json',
+  { rules: [] }
+));
+
+// =====================
+// Providers
+// =====================
+
+let openaiClient: OpenAI | null = null;
+
+function toDataUrl(image: StoredImage): string {
+  return `data:${image.contentType};base64,${image.bytes.toString('base64')}`;
+}
+
+/**
+ * OpenAI moderation endpoint (text and images, free of charge)
+ */
+function createOpenAIProvider(): ModerationProvider {
+  return {
+    name: 'openai',
+    async moderate({ text, image }) {
+      if (!openaiClient) {
+        openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      }
+
+      const input: OpenAI.ModerationMultiModalInput[] = [];
+      if (text) input.push({ type: 'text', text });
+      if (image) input.push({ type: 'image_url', image_url: { url: toDataUrl(image) } });
+
+      const response = await openaiClient.moderations.create(
+        { model: process.env.MODERATION_MODEL || 'omni-moderation-latest', input },
+        { timeout: PROVIDER_TIMEOUT }
+      );
+
+      return response.results
+        .filter(result => result.flagged)
+        .flatMap(result => Object.entries(result.categories)
+          .filter(([, flagged]) => flagged)
+          .map(([category]) => ({ rule: 'openai', category })));
+    },
+  };
+}
+
+/**
+ * Custom classifier: POST {text, image} (image as a data URL), expects {flagged, categories?}
+ */
+function createWebhookProvider(url: string): ModerationProvider {
+  return {
+    name: 'webhook',
+    async moderate({ text, image }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, image: image && toDataUrl(image) }),
+        signal: AbortSignal.timeout(PROVIDER_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`Moderation webhook returned ${response.status}`);
+      }
+
+      const result = await response.json() as { flagged?: boolean; categories?: string[] };
+      if (!result.flagged) return [];
+      const categories = result.categories?.length ? result.categories : ['flagged'];
+      return categories.map(category => ({ rule: 'webhook', category }));
+    },
+  };
+}
+
+/**
+ * Provider selected by MODERATION_PROVIDER (none | openai | webhook)
+ */
+function createProvider(): ModerationProvider | null {
+  const name = process.env.MODERATION_PROVIDER || 'none';
+
+  if (name === 'openai') return createOpenAIProvider();
+  if (name === 'webhook') {
+    if (!process.env.MODERATION_WEBHOOK_URL) {
+      throw new Error('MODERATION_PROVIDER=webhook requires MODERATION_WEBHOOK_URL');
+    }
+    return createWebhookProvider(process.env.MODERATION_WEBHOOK_URL);
+  }
+  if (name !== 'none') {
+    logger.warn(`Unknown MODERATION_PROVIDER "${name}", using rules only`);
+  }
+  return null;
+}
+
+const provider = createProvider();
+
+/**
+ * Ask the provider; offline mode and provider failures fall back to the rules alone
+ * (an outage must not take every personalization down with it)
+ */
+async function callProvider(input: { text?: string; image?: StoredImage }, field: string): Promise<ModerationFlag[]> {
+  if (!provider || isMockMode()) return [];
+
+  try {
+    const flags = await provider.moderate(input);
+    return flags.map(flag => ({ ...flag, field }));
+  } catch (error) {
+    logger.warn('Provider check failed, relying on rules', { provider: provider.name, field, error });
+    return [];
+  }
+}
+
+// =====================
+// Checks
+// =====================
+
+function matchRules(fields: Record<string, string>, target: ModerationTarget, profile: StoreProfile): ModerationFlag[] {
+  const flags: ModerationFlag[] = [];
+
+  for (const { rule, regexes } of rules) {
+    if (rule.appliesTo && !rule.appliesTo.includes(target)) continue;
+    if (rule.profiles && !rule.profiles.includes(profile.id)) continue;
+
+    for (const [field, value] of Object.entries(fields)) {
+      for (const regex of regexes) {
+        const match = value.match(regex);
+        if (match) {
+          flags.push({ rule: rule.id, category: rule.category, field, match: match[0] });
+          break;
+        }
+      }
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Check text fields against the rules, then the provider
+ */
+export async function moderateText(
+  fields: Record<string, string>,
+  target: ModerationTarget,
+  profile: StoreProfile
+): Promise<ModerationResult> {
+  const flags = matchRules(fields, target, profile);
+  // Rules already decided; spare the provider call
+  if (flags.length === 0) {
+    flags.push(...await callProvider({ text: Object.values(fields).join('\n') }, target));
+  }
+  return { flagged: flags.length > 0, flags };
+}
+
+/**
+ * Check a generated image with the provider (rules only apply to its prompt, see moderateText)
+ */
+export async function moderateImage(image: StoredImage): Promise<ModerationResult> {
+  const flags = await callProvider({ image }, 'image');
+  return { flagged: flags.length > 0, flags };
+}
+
+// =====================
+// Quarantine
+// =====================
+
+const QUARANTINE_FILE = resolveDataPath(process.env.QUARANTINE_FILE || 'quarantine.json');
+const MAX_QUARANTINE_ENTRIES = 1000;
+
+const quarantine: QuarantineEntry[] = readJsonFile<QuarantineEntry[]>(QUARANTINE_FILE, []);
+const writer = createJsonFileWriter(QUARANTINE_FILE, () => quarantine, (error) => {
+  logger.error('Failed to persist quarantine', { error });
+});
+
+/**
+ * Record a flagged item for review; the caller keeps serving the original content
+ */
+export function quarantineItem(item: Omit<QuarantineEntry, 'id' | 'createdAt'>): QuarantineRef {
+  const entry: QuarantineEntry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...item,
+  };
+
+  quarantine.push(entry);
+  if (quarantine.length > MAX_QUARANTINE_ENTRIES) {
+    quarantine.splice(0, quarantine.length - MAX_QUARANTINE_ENTRIES);
+  }
+  writer.schedule();
+
+  logger.warn('Quarantined', {
+    requestId: entry.requestId,
+    kind: entry.kind,
+    id: entry.id,
+    shop: entry.shop,
+    flags: entry.flags.map(flag => `${flag.rule}/${flag.category} in ${flag.field}${flag.match ? ` ("${flag.match}")` : ''}`),
+  });
+
+  return { id: entry.id, flags: entry.flags };
+}
+
+/**
+ * Quarantined items, newest first
+ */
+export function listQuarantine(filter: { kind?: QuarantineEntry['kind']; shop?: string } = {}): QuarantineEntry[] {
+  return quarantine
+    .filter(entry => (!filter.kind || entry.kind === filter.kind) && (!filter.shop || entry.shop === filter.shop))
+    .reverse();
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import type { CachedImage, FidelityScore, GenerateRequest, ImageType, ImageVariants, ReviewRef, ReviewStatus, TrafficSource, UserContext } from '../types.js';
+import { createJsonFileWriter, readJsonFile, resolveDataPath } from '../lib/storage.js';
+import { setCachedImage } from './cache.js';
+import { envPositiveInt } from '../lib/env.js';
+import { gauge } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Reviews');
+
+/**
+ * A generation waiting for (or past) admin review
+ */
+export interface ReviewItem {
+  id: string;
+  status: ReviewStatus;
+  createdAt: string;
+  reviewedAt?: string;
+  // Reviewer's reason, shown in the admin list
+  note?: string;
+  // Newer generation of the same context that replaced this one
+  supersededBy?: string;
+  cacheKey: string;
+  shop?: string;
+  campaign?: string;
+  trafficSource: TrafficSource;
+  imageType: ImageType;
+  // Served while the item is pending or rejected
+  sourceImageUrl: string;
+  // Served once approved
+  generatedImageUrl: string;
+  variants?: ImageVariants;
+  prompt: string;
+  fidelity?: FidelityScore;
+  // Request and context the image was generated for, kept to regenerate it
+  request: GenerateRequest;
+  context: UserContext;
+  // API request that produced the item, to find its log lines
+  requestId?: string;
+}
+
+export type ReviewSubmission = Pick<
+  ReviewItem,
+  'cacheKey' | 'generatedImageUrl' | 'variants' | 'prompt' | 'fidelity' | 'request' | 'context'
+>;
+
+const REVIEWS_FILE = resolveDataPath(process.env.REVIEWS_FILE || 'reviews.json');
+// Decided items beyond this are dropped oldest first
+const MAX_REVIEW_ITEMS = 5000;
+// Pending items are rejected automatically (the original stays live) once older than this
+// or beyond this many per shop, so a shop that never reviews cannot grow the queue forever
+const REVIEW_PENDING_DAYS = envPositiveInt('REVIEW_PENDING_DAYS', 14);
+const MAX_PENDING_PER_SHOP = envPositiveInt('REVIEW_MAX_PENDING_PER_SHOP', 500);
+
+const reviews: ReviewItem[] = readJsonFile<ReviewItem[]>(REVIEWS_FILE, []);
+
+gauge('reviews_pending', 'Generations waiting for admin review', () => reviews.filter(item => item.status === 'pending').length);
+
+const writer = createJsonFileWriter(REVIEWS_FILE, () => reviews, (error) => {
+  logger.error('Failed to persist reviews', { error });
+});
+
+// Items also expire while no new generations arrive
+setInterval(() => trim(), 60 * 60 * 1000).unref();
+
+function expirePending(): void {
+  const cutoff = Date.now() - REVIEW_PENDING_DAYS * 24 * 60 * 60 * 1000;
+  const pendingPerShop = new Map<string, number>();
+
+  // Newest first, so the per-shop cap keeps the latest items
+  for (let i = reviews.length - 1; i >= 0; i--) {
+    const item = reviews[i];
+    if (item.status !== 'pending') continue;
+
+    if (Date.parse(item.createdAt) < cutoff) {
+      decideReview(item, 'rejected', `Expired after ${REVIEW_PENDING_DAYS} days without review`);
+      continue;
+    }
+
+    const shop = item.shop || '';
+    const count = (pendingPerShop.get(shop) || 0) + 1;
+    pendingPerShop.set(shop, count);
+    if (count > MAX_PENDING_PER_SHOP) {
+      decideReview(item, 'rejected', `Dropped: over ${MAX_PENDING_PER_SHOP} pending reviews for the shop`);
+    }
+  }
+}
+
+function trim(): void {
+  expirePending();
+  while (reviews.length > MAX_REVIEW_ITEMS) {
+    const index = reviews.findIndex(item => item.status !== 'pending');
+    if (index === -1) break;
+    reviews.splice(index, 1);
+  }
+}
+
+/**
+ * Cache entry serving a review item's decision: the generation once approved, the original otherwise
+ */
+function toCachedImage(item: ReviewItem): CachedImage {
+  const review: ReviewRef = { id: item.id, status: item.status };
+  if (item.status === 'approved') {
+    return {
+      imageUrl: item.generatedImageUrl,
+      variants: item.variants,
+      prompt: item.prompt,
+      createdAt: Date.now(),
+      fidelity: item.fidelity,
+      review,
+    };
+  }
+  return { imageUrl: item.sourceImageUrl, prompt: item.prompt, createdAt: Date.now(), review };
+}
+
+/**
+ * Hold a generation for review; returns the cache entry to serve meanwhile (the original image)
+ *
+ * Earlier items of the same context are marked as superseded by this one.
+ */
+export function submitForReview(submission: ReviewSubmission): CachedImage {
+  // Coordinates and the full referrer are not needed to regenerate (the context already has the source)
+  const { latitude, longitude, referrer, visitorId, forceGenerate, async, ...request } = submission.request;
+  const { requestId, referrer: contextReferrer, ...context } = submission.context;
+
+  const item: ReviewItem = {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    ...submission,
+    shop: context.shop,
+    campaign: context.utmCampaign,
+    trafficSource: context.trafficSource,
+    imageType: context.imageType || 'product',
+    sourceImageUrl: request.imageUrl,
+    request,
+    context,
+    requestId,
+  };
+
+  for (const earlier of reviews) {
+    if (earlier.cacheKey === item.cacheKey && !earlier.supersededBy) earlier.supersededBy = item.id;
+  }
+  reviews.push(item);
+  trim();
+  writer.schedule();
+
+  logger.info('Generation held for review', { requestId, id: item.id, shop: item.shop, cacheKey: item.cacheKey });
+  return toCachedImage(item);
+}
+
+/**
+ * Re-cache the latest review decision for a context whose cache entry expired or was evicted,
+ * so it is served again without a new generation; null when the context was never reviewed
+ */
+export function restoreReviewedImage(cacheKey: string): CachedImage | null {
+  const item = reviews.find(review => review.cacheKey === cacheKey && !review.supersededBy);
+  if (!item) return null;
+
+  const image = toCachedImage(item);
+  setCachedImage(cacheKey, image);
+  return image;
+}
+
+/**
+ * Review items (optionally filtered), newest first
+ */
+export function listReviews(filter: { status?: ReviewStatus; shop?: string } = {}): ReviewItem[] {
+  return reviews
+    .filter(item => (!filter.status || item.status === filter.status) && (!filter.shop || item.shop === filter.shop))
+    .reverse();
+}
+
+export function getReview(id: string): ReviewItem | null {
+  return reviews.find(item => item.id === id) || null;
+}
+
+/**
+ * Approve or reject an item and update the cache for its context right away
+ */
+export function decideReview(item: ReviewItem, status: Exclude<ReviewStatus, 'pending'>, note?: string): ReviewItem {
+  item.status = status;
+  item.reviewedAt = new Date().toISOString();
+  item.note = note;
+  writer.schedule();
+
+  setCachedImage(item.cacheKey, toCachedImage(item));
+  logger.info(status === 'approved' ? 'Generation approved' : 'Generation rejected', { id: item.id, shop: item.shop, cacheKey: item.cacheKey });
+  return item;
+}
@@ -0,0 +1,138 @@
+import { createJsonFileWriter, readJsonFile, resolveDataPath } from '../lib/storage.js';
+import { estimateImageCost, estimateLlmCost } from '../lib/pricing.js';
+import { getShopLimits, isOpenMode } from '../lib/shops.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Usage');
+
+/**
+ * Usage counted against quotas and budgets for one period
+ */
+export interface UsageCounters {
+  generations: number;
+  llmTokens: number;
+  costUsd: number;
+}
+
+/**
+ * Why a request was refused (quota or budget)
+ */
+export interface QuotaViolation {
+  code: 'QUOTA_EXCEEDED' | 'BUDGET_EXCEEDED';
+  error: string;
+}
+
+// shop → period ("2026-10-19" / "2026-10") → counters
+type UsageData = Record<string, Record<string, UsageCounters>>;
+
+const USAGE_FILE = resolveDataPath(process.env.USAGE_FILE || 'usage.json');
+
+const usage: UsageData = readJsonFile<UsageData>(USAGE_FILE, {});
+const writer = createJsonFileWriter(USAGE_FILE, () => usage, (error) => {
+  logger.error('Failed to persist usage counters', { error });
+});
+
+/**
+ * Quotas are tracked per registered shop; in open mode everything shares one bucket
+ * (the shop id is client-supplied there and must not reset quotas)
+ */
+export function getUsageKey(shop?: string): string {
+  return isOpenMode() ? '*' : shop || '*';
+}
+
+function getPeriods(now = new Date()): { day: string; month: string } {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+function getCounters(key: string, period: string): UsageCounters {
+  const shopUsage = usage[key] || (usage[key] = {});
+  return shopUsage[period] || (shopUsage[period] = { generations: 0, llmTokens: 0, costUsd: 0 });
+}
+
+function pruneOldPeriods(key: string): void {
+  const { day, month } = getPeriods();
+  for (const period of Object.keys(usage[key] || {})) {
+    if (period !== day && period !== month) delete usage[key][period];
+  }
+}
+
+function add(shop: string | undefined, changes: Partial<UsageCounters>): void {
+  const key = getUsageKey(shop);
+  pruneOldPeriods(key);
+  const { day, month } = getPeriods();
+  for (const counters of [getCounters(key, day), getCounters(key, month)]) {
+    counters.generations += changes.generations || 0;
+    counters.llmTokens += changes.llmTokens || 0;
+    counters.costUsd += changes.costUsd || 0;
+  }
+  writer.schedule();
+}
+
+/**
+ * Count a generated image; returns its estimated cost
+ */
+export function recordImageUsage(shop: string | undefined, model: string): number {
+  const costUsd = estimateImageCost(model);
+  add(shop, { generations: 1, costUsd });
+  return costUsd;
+}
+
+/**
+ * Count the tokens of one chat completion; returns its estimated cost
+ */
+export function recordLlmUsage(
+  shop: string | undefined,
+  model: string,
+  tokens: { prompt_tokens?: number; completion_tokens?: number } | undefined
+): number {
+  const inputTokens = tokens?.prompt_tokens || 0;
+  const outputTokens = tokens?.completion_tokens || 0;
+  const costUsd = estimateLlmCost(model, inputTokens, outputTokens);
+  add(shop, { llmTokens: inputTokens + outputTokens, costUsd });
+  return costUsd;
+}
+
+/**
+ * Current day and month usage for a shop
+ */
+export function getUsage(shop?: string): { day: UsageCounters; month: UsageCounters } {
+  const key = getUsageKey(shop);
+  const { day, month } = getPeriods();
+  const empty = { generations: 0, llmTokens: 0, costUsd: 0 };
+  return {
+    day: { ...empty, ...usage[key]?.[day] },
+    month: { ...empty, ...usage[key]?.[month] },
+  };
+}
+
+/**
+ * Check quotas and budget before starting paid work
+ *
+ * `kind` decides which quotas apply: image generations count against the
+ * generation quota, every request that calls the LLM against the token quota.
+ * The dollar budget applies to both.
+ */
+export function checkQuota(shop: string | undefined, kind: 'generation' | 'llm'): QuotaViolation | null {
+  const limits = getShopLimits(shop);
+  const { day, month } = getUsage(shop);
+
+  if (kind === 'generation') {
+    if (limits.dailyGenerations !== undefined && day.generations >= limits.dailyGenerations) {
+      return { code: 'QUOTA_EXCEEDED', error: 'Daily generation quota exceeded' };
+    }
+    if (limits.monthlyGenerations !== undefined && month.generations >= limits.monthlyGenerations) {
+      return { code: 'QUOTA_EXCEEDED', error: 'Monthly generation quota exceeded' };
+    }
+  }
+  if (limits.dailyLlmTokens !== undefined && day.llmTokens >= limits.dailyLlmTokens) {
+    return { code: 'QUOTA_EXCEEDED', error: 'Daily LLM token quota exceeded' };
+  }
+  if (limits.monthlyLlmTokens !== undefined && month.llmTokens >= limits.monthlyLlmTokens) {
+    return { code: 'QUOTA_EXCEEDED', error: 'Monthly LLM token quota exceeded' };
+  }
+  if (limits.monthlyBudgetUsd !== undefined && month.costUsd >= limits.monthlyBudgetUsd) {
+    return { code: 'BUDGET_EXCEEDED', error: 'Monthly budget exceeded' };
+  }
+  return null;
+}
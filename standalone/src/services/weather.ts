@@ -1,4 +1,9 @@
 import type { WeatherCondition, Temperature } from '../types.js';
+import { getMockWeather, isMockMode } from './mock.js';
+import { recordCacheLookup } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('Weather');
 
 /**
  * Weather data returned from API
@@ -58,13 +63,19 @@ export async function getWeatherForLocation(
   latitude: number,
   longitude: number
 ): Promise<WeatherData | null> {
+  if (isMockMode()) {
+    return getMockWeather();
+  }
+
   // Round coordinates for cache key (0.1 degree precision ≈ 11km)
   const cacheKey = `${Math.round(latitude * 10) / 10},${Math.round(longitude * 10) / 10}`;
   
   // Check cache
   const cached = weatherCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
+  const fresh = Boolean(cached && Date.now() - cached.timestamp < CACHE_TTL);
+  recordCacheLookup('weather', fresh);
+  if (fresh) {
+    return cached!.data;
   }
   
   try {
@@ -77,7 +88,7 @@ export async function getWeatherForLocation(
     const response = await fetch(url.toString());
     
     if (!response.ok) {
-      console.error(`Weather API error: ${response.status}`);
+      logger.error('Weather API error', { status: response.status });
       return null;
     }
 
@@ -105,7 +116,7 @@ export async function getWeatherForLocation(
     
     return weatherData;
   } catch (error) {
-    console.error('Weather fetch error:', error);
+    logger.error('Weather fetch error', { error });
     return null;
   }
 }
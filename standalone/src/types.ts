@@ -1,7 +1,20 @@
 /**
  * Traffic source detected from UTM parameters or referrer
  */
-export type TrafficSource = 'instagram' | 'tiktok' | 'facebook' | 'google' | 'direct';
+export type TrafficSource =
+  | 'instagram'
+  | 'tiktok'
+  | 'facebook'
+  | 'pinterest'
+  | 'youtube'
+  | 'snapchat'
+  | 'x'
+  | 'reddit'
+  | 'google'
+  | 'bing'
+  | 'email'
+  | 'affiliate'
+  | 'direct';
 
 /**
  * Time of day categories
@@ -28,10 +41,56 @@ export type Temperature = 'hot' | 'warm' | 'cool' | 'cold';
  */
 export type ImageType = 'product' | 'banner' | 'collection' | 'imageWithText';
 
+/**
+ * Machine-readable error codes returned as `code` by every API error
+ */
+export type ErrorCode =
+  | 'INVALID_REQUEST'
+  | 'INVALID_IMAGE_URL'
+  | 'IMAGE_HOST_NOT_ALLOWED'
+  | 'INVALID_SHOP_KEY'
+  | 'ORIGIN_NOT_ALLOWED'
+  | 'IMAGE_TYPE_NOT_ALLOWED'
+  | 'RATE_LIMITED'
+  | 'QUOTA_EXCEEDED'
+  | 'BUDGET_EXCEEDED'
+  | 'PROVIDER_TIMEOUT'
+  | 'PROVIDER_ERROR'
+  | 'JOB_NOT_FOUND'
+  | 'UNAUTHORIZED'
+  | 'ADMIN_DISABLED'
+  | 'NOT_FOUND'
+  | 'INTERNAL_ERROR';
+
+/**
+ * Output formats derived from each generated image
+ */
+export type ImageFormat = 'avif' | 'webp' | 'jpeg';
+
+/**
+ * Responsive variants of a re-hosted image (paths relative to this service)
+ */
+export interface ImageVariants {
+  width: number;
+  height: number;
+  sources: Partial<Record<ImageFormat, Array<{ url: string; width: number }>>>;
+}
+
+/**
+ * srcset strings per format, ready for <img srcset> / <source srcset>
+ */
+export type ImageSrcset = Partial<Record<ImageFormat, string>>;
+
 /**
  * User context collected from frontend
  */
 export interface UserContext {
+  // Id of the API request (X-Request-Id), carried into every log line of its generation
+  requestId?: string;
+
+  // Shop the request comes from (selects the store profile)
+  shop?: string;
+
   // UTM parameters
   utmSource?: string;
   utmMedium?: string;
@@ -68,6 +127,9 @@ export interface UserContext {
   collectionDescription?: string;
   productNames?: string[];  // Products in the collection
   productCount?: number;
+
+  // Registered campaign matching the UTM parameters (its brief steers the scene prompt)
+  campaign?: Campaign;
 }
 
 /**
@@ -77,6 +139,12 @@ export interface GenerateRequest {
   imageUrl: string;
   imageType?: ImageType;
 
+  // Shop identifier, e.g. "my-store.myshopify.com"
+  shop?: string;
+
+  // Anonymous id stored by embed.js, used for experiment bucketing
+  visitorId?: string;
+
   // Product info (for product images)
   productName?: string;
   productDescription?: string;
@@ -109,6 +177,48 @@ export interface GenerateRequest {
   // Testing options
   forceGenerate?: boolean;
   trafficSource?: TrafficSource;
+
+  // Job mode: return a job id immediately instead of waiting for the image
+  async?: boolean;
+}
+
+/**
+ * Per-image fields of a generation request
+ */
+export type GenerateBatchItem = Pick<GenerateRequest,
+  | 'imageUrl'
+  | 'imageType'
+  | 'productName'
+  | 'productDescription'
+  | 'productCategory'
+  | 'collectionTitle'
+  | 'collectionDescription'
+  | 'productNames'
+  | 'productCount'
+>;
+
+/**
+ * Batch request: many images sharing one visitor context
+ */
+export type GenerateBatchRequest = Omit<GenerateRequest, keyof GenerateBatchItem> & {
+  items: GenerateBatchItem[];
+};
+
+/**
+ * Result for one item of a batch (either an image or a job id in async mode)
+ */
+export interface GenerateBatchResult {
+  index: number;
+  success: boolean;
+  imageUrl?: string;
+  srcset?: ImageSrcset;
+  prompt?: string;
+  cached: boolean;
+  generationId?: string;
+  jobId?: string;
+  error?: string;
+  code?: ErrorCode;
+  retryAfter?: number;
 }
 
 /**
@@ -117,10 +227,19 @@ export interface GenerateRequest {
 export interface GenerateResponse {
   success: boolean;
   imageUrl?: string;
+  srcset?: ImageSrcset;
+  width?: number;
+  height?: number;
   prompt?: string;
   cached: boolean;
+  // Identifies the generated image in storefront events (POST /api/events)
+  generationId?: string;
   processingTime: number;
   error?: string;
+  code?: ErrorCode;
+  retryAfter?: number;
+  // Experiment arm of the visitor (absent when not enrolled)
+  experiment?: ExperimentAssignment;
   context: {
     trafficSource: TrafficSource;
     timeOfDay: TimeOfDay;
@@ -130,12 +249,305 @@ export interface GenerateResponse {
   };
 }
 
+/**
+ * Batch API response body
+ */
+export interface GenerateBatchResponse {
+  success: boolean;
+  results: GenerateBatchResult[];
+  processingTime: number;
+  error?: string;
+  experiment?: ExperimentAssignment;
+  context?: GenerateResponse['context'];
+}
+
+/**
+ * API response when a generation is submitted as a job
+ */
+export interface GenerateJobResponse {
+  success: boolean;
+  jobId: string;
+  status: string;
+  statusUrl: string;
+  eventsUrl: string;
+  experiment?: ExperimentAssignment;
+}
+
+/**
+ * Experiment arm a visitor is bucketed into (config/experiments.json)
+ */
+export interface ExperimentAssignment {
+  experiment: string;
+  // Variant id, "holdout" for the control group
+  variant: string;
+  // Whether this visitor sees AI images / the personalized layout
+  images: boolean;
+  layout: boolean;
+}
+
 /**
  * Cached image entry
  */
 export interface CachedImage {
   imageUrl: string;
+  variants?: ImageVariants;
   prompt: string;
   createdAt: number;
+  // Product-fidelity verdict (product images only)
+  fidelity?: FidelityScore;
+  // Set when moderation flagged the generation and the original image is served
+  quarantine?: QuarantineRef;
+  // Set when the shop reviews generations before they go live
+  review?: ReviewRef;
+}
+
+/**
+ * How closely a generated image preserved the product of its source image
+ */
+export interface FidelityScore {
+  // Weaker of the two similarities (0..1), compared against FIDELITY_THRESHOLD
+  score: number;
+  // Perceptual (difference) hash similarity of the product region
+  hashSimilarity: number;
+  // Color histogram overlap of the product region
+  colorSimilarity: number;
+  passed: boolean;
+  // Generations tried for this entry
+  attempts: number;
+  // Every attempt failed and the original image is served instead
+  fallback?: boolean;
 }
 
+/**
+ * A moderation rule or provider category that matched
+ */
+export interface ModerationFlag {
+  // Rule id from config/moderation.json, or the provider name
+  rule: string;
+  category: string;
+  // Where it matched: a copy field ("heroTitle", "trustItems.1"), "prompt" or "image"
+  field: string;
+  // Matched text (rules only)
+  match?: string;
+}
+
+/**
+ * Pointer from a cached result to its quarantine entry
+ */
+export interface QuarantineRef {
+  id: string;
+  flags: ModerationFlag[];
+}
+
+/**
+ * Review state of a generation held back until an admin approves it
+ */
+export type ReviewStatus = 'pending' | 'approved' | 'rejected';
+
+/**
+ * Pointer from a cached result to its review item
+ */
+export interface ReviewRef {
+  id: string;
+  status: ReviewStatus;
+}
+
+/**
+ * Product card sent to /api/personalize for reordering
+ */
+export interface PersonalizeProduct {
+  handle: string;
+  title: string;
+  tags: string[];
+}
+
+/**
+ * /api/personalize request body
+ */
+export interface PersonalizeRequest {
+  shop?: string;
+  visitorId?: string;
+  utmSource?: string;
+  utmMedium?: string;
+  utmCampaign?: string;
+  utmContent?: string;
+  utmTerm?: string;
+  products?: PersonalizeProduct[];
+}
+
+/**
+ * UTM values a campaign applies to; every given field must match (case-insensitive,
+ * a trailing * matches any suffix, e.g. "summer_sale_*")
+ */
+export interface CampaignMatch {
+  utmSource?: string;
+  utmMedium?: string;
+  utmCampaign?: string;
+  utmContent?: string;
+  utmTerm?: string;
+}
+
+/**
+ * Merchant-authored campaign (managed through /api/admin/campaigns)
+ */
+export interface Campaign {
+  id: string;
+  name: string;
+  // Shop the campaign belongs to (every shop when omitted)
+  shop?: string;
+  enabled: boolean;
+  match: CampaignMatch;
+  // Creative brief given to the copy and scene prompt models
+  brief?: string;
+  // Landing page theme (1-10) instead of the hash of the UTM values
+  theme?: number;
+  // Handles shown first, in this order
+  pinnedProducts: string[];
+  // Handles hidden from the landing page
+  excludedProducts: string[];
+  // Copy served as written, whatever the model proposes
+  copy: Partial<PersonalizationCopy>;
+  // ISO dates/times bounding the campaign
+  startAt?: string;
+  endAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Fields a merchant sets when creating or replacing a campaign
+ */
+export type CampaignInput = Omit<Campaign, 'id' | 'createdAt' | 'updatedAt'>;
+
+/**
+ * Storefront interaction reported by embed.js
+ */
+export type StorefrontEventType = 'image_shown' | 'image_hovered' | 'product_clicked' | 'add_to_cart' | 'modal_closed';
+
+/**
+ * POST /api/events body: visitor context shared by a batch of events
+ */
+export interface EventsRequest {
+  shop?: string;
+  visitorId?: string;
+  utmSource?: string;
+  utmMedium?: string;
+  utmCampaign?: string;
+  utmContent?: string;
+  utmTerm?: string;
+  referrer?: string;
+  // Landing page theme applied by /api/personalize (1-10)
+  theme?: number;
+  experiment?: string;
+  variant?: string;
+  events: Array<{
+    type: StorefrontEventType;
+    // Client time (ms since epoch)
+    timestamp?: number;
+    generationId?: string;
+    imageType?: ImageType;
+    productHandle?: string;
+    // Whether the visitor saw an AI image (false: original image)
+    ai?: boolean;
+    path?: string;
+  }>;
+}
+
+/**
+ * Stored event (a line of data/events.jsonl)
+ */
+export interface StorefrontEvent {
+  timestamp: string;
+  clientTimestamp?: string;
+  type: StorefrontEventType;
+  shop: string;
+  visitorId?: string;
+  trafficSource: TrafficSource;
+  campaign: string;
+  utmSource?: string;
+  utmMedium?: string;
+  utmContent?: string;
+  utmTerm?: string;
+  theme?: number;
+  experiment?: string;
+  variant?: string;
+  generationId?: string;
+  imageType?: ImageType;
+  productHandle?: string;
+  ai: boolean;
+  path?: string;
+}
+
+/**
+ * Landing page copy returned by /api/personalize
+ */
+export interface PersonalizationCopy {
+  heroTitle: string;
+  featuredTitle: string;
+  iwtTitle: string;
+  iwtBody: string;
+  vibeBarText: string;
+  trustItems: [string, string, string];
+  promoBannerText: string;
+  socialProofItems: [string, string, string];
+}
+
+/**
+ * Copy and icons used when the LLM is unavailable (or returns incomplete fields)
+ */
+export interface StoreCopyDefaults {
+  copy: PersonalizationCopy;
+  vibeIcon: string;
+  trustIcons: [string, string, string];
+}
+
+/**
+ * Brand voice and vocabulary injected into every prompt and fallback
+ * (loaded from config/store-profiles.json)
+ */
+export interface StoreProfile {
+  id: string;
+  // Shop identifiers using this profile
+  shops?: string[];
+
+  brandName: string;
+  vertical: string;           // e.g. "pet products"
+  catalog: string;            // what the store sells, used in prompts
+  audience: string;           // e.g. "pet parents"
+  toneOfVoice: string;
+
+  // Audience keywords that must survive from UTM parameters into prompts
+  vocabulary: {
+    label: string;            // e.g. "pet" → "DETECTED PET KEYWORDS"
+    patterns: string[];       // regular expressions (case-insensitive)
+  };
+
+  forbiddenTopics: string[];
+
+  // Visual style per traffic source, "direct" is the fallback
+  styleHints: Record<string, string>;
+
+  // Store-specific instructions appended to each LLM system prompt
+  promptGuidance: {
+    product: string[];
+    banner: string[];
+    collection: string[];
+    personalize: string[];
+  };
+
+  // Scene prompts used without an LLM ({title}, {season}, {timeOfDay} are replaced in collection)
+  fallbackScenes: {
+    product: Record<TimeOfDay, string>;
+    season: Record<Season, string>;
+    banner: Record<TimeOfDay, string>;
+    collection: string;
+  };
+
+  defaultCopy: StoreCopyDefaults;
+
+  // Keyword-matched fallback copy (first match wins), products with boostTags sort first
+  copySegments: Array<StoreCopyDefaults & {
+    match: string;
+    boostTags: string[];
+  }>;
+}